@@ -0,0 +1,39 @@
+// Run with: npm run bench
+import { roll, getPublicKey, decodeASL, decodeMany } from './index.js'
+
+const N = 20000
+
+function bench (name, fn, n = N) {
+  const start = performance.now()
+  fn()
+  const ms = performance.now() - start
+  const rate = n / ms * 1000
+  console.log(`${name.padEnd(32)} ${rate.toFixed(0).padStart(8)} keys/s`)
+  return rate
+}
+
+// Baseline: one full scalar multiplication per attempt.
+const naive = bench('getPublicKey() per attempt', () => {
+  const sk = new Uint8Array(32)
+  for (let i = 0; i < N; i++) {
+    globalThis.crypto.getRandomValues(sk)
+    getPublicKey(sk)
+  }
+})
+
+// roll() with an unreachable prefix runs exactly N attempts.
+const walk = bench('roll() incremental search', () => {
+  roll(0, 0, 'zzzzzzzz', 40, N)
+})
+
+console.log(`Speedup: ${(walk / naive).toFixed(1)}x`)
+
+// Decoding, keys are random so every ASL combination shows up.
+const M = 1000000
+const keys = new Uint8Array(M * 32)
+for (let i = 0; i < keys.length; i += 65536) globalThis.crypto.getRandomValues(keys.subarray(i, i + 65536))
+bench('decodeASL() 1M keys', () => {
+  for (let i = 0; i < M; i++) decodeASL(keys.subarray(i * 32, i * 32 + 32))
+}, M)
+bench('decodeMany() 1M keys', () => decodeMany(keys), M)
+bench('decodeMany() 1M keys + geohash', () => decodeMany(keys, 15, { geohash: true }), M)
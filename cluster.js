@@ -0,0 +1,201 @@
+/*! powmem - MIT License (c) 2023 Tony Ivanov */
+// Distributed mining, node only.
+// A coordinator hands out ranges of a seed's counter space to nodes
+// speaking JSON lines over stdin/stdout or TCP.
+//
+// Protocol, one JSON object per line:
+//   coordinator -> node: { type: 'range', params, start, end } | { type: 'stop' }
+//   node -> coordinator: { type: 'progress', attempts } | { type: 'done', start, end }
+//                      | { type: 'found', result } | { type: 'error', name, message }
+//
+// Malformed lines are ignored, ranges of nodes that disconnect or report
+// a key that does not check out are handed to the next node.
+//
+// Run a node:
+//   node cluster.js                     # over stdin/stdout
+//   node cluster.js --connect host:port # over TCP
+import { createInterface } from 'node:readline'
+import { createServer, connect } from 'node:net'
+import { pathToFileURL } from 'node:url'
+import { etc } from '@noble/secp256k1'
+import { rollAsync, deriveSecret } from './index.js'
+
+/**
+ * @typedef {object} Coordinator
+ * @property {(input: import('node:stream').Readable, output: import('node:stream').Writable) => void} attach
+ *   Starts handing out ranges to a node.
+ * @property {(port?: number, host?: string) => Promise<import('node:net').Server>} listen
+ *   Accepts nodes over TCP.
+ * @property {Promise<import('./index.js').RollResult>} result resolves when any node finds a key,
+ *   rejects when a node fails to search, e.g. on invalid params.
+ * @property {() => void} stop Stops all nodes.
+ */
+
+/**
+ * Coordinates distributed search for a single target.
+ * @param {object} params same as rollAsync(), a random seed is generated if none provided.
+ * @param {object} [opts]
+ * @param {number} [opts.rangeSize] amount of counters per range; default: 2^20
+ * @param {(progress: {attempts: number, elapsedMs: number, hashrate: number, nodes: number}) => void} [opts.onProgress]
+ * @returns {Coordinator}
+ */
+export function createCoordinator (params, { rangeSize = 2 ** 20, onProgress } = {}) {
+  if (params.seed === undefined) params = { ...params, seed: etc.bytesToHex(etc.randomBytes(32)) }
+  const nodes = new Set()
+  const start = performance.now()
+  let next = params.counter || 0
+  let completed = 0 // attempts of finished ranges
+  const orphans = [] // unfinished ranges of disconnected nodes
+  let server = null
+  let stopped = false
+  let resolve, reject
+  const result = new Promise((_resolve, _reject) => { resolve = _resolve; reject = _reject })
+
+  function stop () {
+    if (stopped) return
+    stopped = true
+    for (const node of nodes) node.send({ type: 'stop' })
+    if (server) server.close()
+  }
+
+  function report () {
+    let attempts = completed
+    for (const node of nodes) attempts += node.attempts
+    const elapsedMs = performance.now() - start
+    if (onProgress) onProgress({ attempts, elapsedMs, hashrate: attempts / elapsedMs * 1000, nodes: nodes.size })
+    return attempts
+  }
+
+  function assign (node) {
+    node.attempts = 0
+    node.range = orphans.shift() || { start: next, end: (next += rangeSize) }
+    node.send({ type: 'range', params, ...node.range })
+  }
+
+  function drop (node) {
+    if (!nodes.delete(node)) return
+    completed += node.attempts
+    // Progress is reported after the fact, resuming from it repeats no more than a slice.
+    const start = node.range.start + node.attempts
+    if (!stopped && start < node.range.end) orphans.push({ start, end: node.range.end })
+  }
+
+  /*
+   * Re-derives a reported key and tests it against the target
+   * @returns {Promise<boolean>}
+   */
+  async function verify (result) {
+    try {
+      if (deriveSecret(params.seed, result.counter) !== result.secret) return false
+      const check = await rollAsync({ ...params, counter: result.counter, maxTries: 1 })
+      return check.secret === result.secret && check.publicKey === result.publicKey
+    } catch {
+      return false
+    }
+  }
+
+  function attach (input, output) {
+    const node = {
+      attempts: 0,
+      range: null,
+      send: msg => { if (output.writable) output.write(JSON.stringify(msg) + '\n') }
+    }
+    if (stopped) return node.send({ type: 'stop' })
+    nodes.add(node)
+    const lines = createInterface({ input })
+    lines.on('error', () => drop(node)) // Forwarded from input, e.g. ECONNRESET
+    output.on('error', () => drop(node))
+    lines.on('line', line => {
+      if (stopped || !nodes.has(node)) return
+      let msg
+      try { msg = JSON.parse(line) } catch { return }
+      if (msg.type === 'progress') {
+        node.attempts = msg.attempts
+        report()
+      } else if (msg.type === 'done') {
+        completed += msg.end - msg.start
+        assign(node)
+        report()
+      } else if (msg.type === 'found') {
+        verify(msg.result).then(valid => {
+          if (stopped || !nodes.has(node)) return
+          if (!valid) { // Buggy node, its range is searched again by someone else
+            node.attempts = 0
+            node.send({ type: 'stop' })
+            return drop(node)
+          }
+          node.attempts = msg.result.attempts
+          const attempts = report()
+          stop()
+          resolve({ ...msg.result, attempts, elapsedMs: performance.now() - start })
+        })
+      } else if (msg.type === 'error') {
+        stop()
+        reject(Object.assign(new Error(msg.message), { name: msg.name || 'Error' }))
+      }
+    })
+    lines.on('close', () => drop(node))
+    assign(node)
+  }
+
+  async function listen (port = 0, host) {
+    server = createServer(socket => attach(socket, socket))
+    await new Promise(resolve => server.listen(port, host, resolve))
+    return server
+  }
+
+  return { attach, listen, result, stop, params }
+}
+
+/**
+ * Runs a mining node, searches ranges handed out by a coordinator
+ * until told to stop.
+ * @param {import('node:stream').Readable} input
+ * @param {import('node:stream').Writable} output
+ * @returns {Promise<void>} resolves when stopped or disconnected
+ */
+export async function serveNode (input, output) {
+  const send = msg => { if (output.writable) output.write(JSON.stringify(msg) + '\n') }
+  const lines = createInterface({ input })
+  let ctrl = null
+  const search = async ({ params, start, end }) => {
+    ctrl = new AbortController()
+    const result = await rollAsync({ ...params, counter: start, maxTries: end - start }, {
+      signal: ctrl.signal,
+      sliceMs: 500,
+      onProgress: ({ attempts }) => send({ type: 'progress', attempts })
+    })
+    if (result.secret) send({ type: 'found', result })
+    else send({ type: 'done', start, end })
+  }
+  for await (const line of lines) {
+    let msg
+    try { msg = JSON.parse(line) } catch { continue }
+    if (msg.type === 'stop') break
+    if (msg.type === 'range') {
+      search(msg).catch(err => {
+        if (err.name !== 'AbortError') send({ type: 'error', name: err.name, message: err.message })
+      })
+    }
+  }
+  ctrl?.abort()
+  lines.close()
+  output.end()
+}
+
+// CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const i = process.argv.indexOf('--connect')
+  if (i === -1) {
+    await serveNode(process.stdin, process.stdout)
+  } else {
+    const [host, port] = process.argv[i + 1].split(':')
+    const socket = connect(Number(port), host)
+    socket.on('error', err => {
+      console.error(err.message)
+      process.exit(1)
+    })
+    await serveNode(socket, socket)
+  }
+  process.exit(0)
+}
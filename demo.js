@@ -1,11 +1,14 @@
-import { decodeASL, flagOf, roll } from './index.js'
-import Geohash from 'latlon-geohash'
+import { describeASL, estimate, calibrate, MiningSession, toNsec } from './index.js'
+import { createMiner } from './miner.js'
 import { nip19, SimplePool, getEventHash, signEvent } from 'nostr-tools'
 import { schnorr } from '@noble/curves/secp256k1'
 import { bytesToHex } from '@noble/hashes/utils'
 
 let elForm
 let isMining = false
+let abortMining = null
+let miner = null
+let hashrate = 0
 let secret = null
 let player = null
 let pool = null
@@ -19,6 +22,7 @@ const relays = [
   'wss://nos.lol'
 ]
 const TAGS = ['reroll', 'reboot']
+const SESSION_KEY = 'powmem-session'
 
 /**
  * Connects to nostr network
@@ -34,11 +38,11 @@ function initPool () {
   const sub = pool.sub(relays, filters)
 
   sub.on('event', event => {
-    const { pubkey, tags } = event
+    const { tags } = event
     const hashtag = tags.find(t => t[0] === 't' && ~TAGS.indexOf(t[1]))
     if (hashtag) {
       // console.info('Adding pin', hashtag, pubkey, event)
-      addMapPin('event', pubkey, event)
+      addMapPin('event', event)
     }
   })
   return pool
@@ -67,6 +71,8 @@ async function generate (event) {
   event.preventDefault()
   if (isMining) { // -- STOP KEYGEN
     console.log('KEYGEN: STOP')
+    abortMining.abort()
+    window.localStorage.removeItem(SESSION_KEY)
     setMiningState(false)
   } else { // -- START KEYGEN
     console.log('KEYGEN: START')
@@ -76,40 +82,88 @@ async function generate (event) {
     const lat = parseFloat(fd.get('lat'))
     const lon = parseFloat(fd.get('lon'))
     const burn = !fd.get('pow')
-    const bits = burn ? parseInt(fd.get('bits')) : 8
+    const geobits = selectedGeobits()
     const mute = !!fd.get('music')
-    const location = Geohash.encode(lat, lon, 6)
+    const location = { lat, lon }
     console.log('Generating', age, sex, location, mute)
-    secret = null
-    const start = performance.now()
-    let keysTested = 0
-    const testCount = burn ? 1000 : 100
     if (!mute) await initSound(burn ? 24000 : 48000)
-    setMiningState(true)
-    const rollLoop = () => setTimeout(() => {
-      if (!secret && isMining) {
-        secret = roll(age, sex, location, bits, testCount)
-        keysTested += testCount
-        const hashRate = keysTested / (performance.now() - start)
-        document.getElementById('hashrate').innerText = `Hashrate ${(hashRate * 1000).toFixed(2)} keys/s`
-      }
+    await mine(new MiningSession({ age, sex, location, geobits }))
+  }
+}
 
-      // Auto-restart/stop
-      if (!secret && isMining) rollLoop()
-      else {
-        if (secret) {
-          document.getElementById('hashrate').innerText = 'SECRET KEY FOUND'
-          document.getElementById('secret').innerText = '\n' + nip19.nsecEncode(secret) + '\n'
-          document.getElementById('inp-pk').value = bytesToHex(schnorr.getPublicKey(secret))
-          document.getElementById('voluntary-ad').style.display = 'block'
-          decodePublicKey()
-        }
-        setMiningState(false)
+/**
+ * Runs mining session, progress is stored in localStorage
+ * so that mining continues after a page reload.
+ * @type {(session: MiningSession) => Promise<void>}
+ */
+async function mine (session) {
+  secret = null
+  setMiningState(true)
+  abortMining = new AbortController()
+  if (!miner) miner = createMiner({ url: 'worker.build.js' })
+  const save = () => window.localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+  save()
+  try {
+    const result = await session.run({
+      miner,
+      signal: abortMining.signal,
+      onProgress: ({ hashrate, workers, attempts }) => {
+        save()
+        document.getElementById('hashrate').innerText = `Hashrate ${hashrate.toFixed(2)} keys/s (${workers} workers, ${attempts} keys tested)`
       }
-    }, burn ? 10 : 500)
-    rollLoop()
-    // console.log('Secret rolled', secret)
+    })
+    window.localStorage.removeItem(SESSION_KEY)
+    secret = result.secret
+    console.info('Secret rolled after', result.attempts, 'attempts', result.elapsedMs, 'ms')
+    document.getElementById('hashrate').innerText = 'SECRET KEY FOUND'
+    document.getElementById('secret').innerText = '\n' + toNsec(secret) + '\n'
+    document.getElementById('inp-pk').value = result.publicKey
+    document.getElementById('voluntary-ad').style.display = 'block'
+    decodePublicKey()
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err
+  } finally {
+    setMiningState(false)
+  }
+}
+
+/**
+ * Continues mining session from previous visit
+ */
+function resumeSession () {
+  const json = window.localStorage.getItem(SESSION_KEY)
+  if (!json) return
+  const session = MiningSession.fromJSON(json)
+  console.info('Resuming mining session', session.params, session.attempts, 'keys tested')
+  mine(session)
+}
+
+/**
+ * Shows expected time to generate a key
+ * for the current bits setting.
+ * Hashrate is measured on first use, calibrate() blocks the page for a moment.
+ */
+function updateEstimate () {
+  const geobits = selectedGeobits()
+  if (!geobits) return
+  if (!hashrate) {
+    document.getElementById('estimate').innerText = 'Measuring hashrate...'
+    // Let the message paint before blocking
+    return setTimeout(() => {
+      if (!hashrate) hashrate = calibrate() * (navigator.hardwareConcurrency || 1)
+      updateEstimate()
+    }, 50)
   }
+  const { median, p90, p99 } = estimate({ geobits }, hashrate)
+  document.getElementById('estimate').innerText =
+    `Estimated time: ${fmtTime(median.seconds)} (90%: ${fmtTime(p90.seconds)}, 99%: ${fmtTime(p99.seconds)})`
+}
+
+function fmtTime (seconds) {
+  if (seconds < 60) return seconds.toFixed(1) + 's'
+  if (seconds < 3600) return (seconds / 60).toFixed(1) + 'min'
+  if (seconds < 86400) return (seconds / 3600).toFixed(1) + 'h'
+  return (seconds / 86400).toFixed(1) + 'd'
 }
 
 /**
@@ -142,7 +196,15 @@ async function fetchLocation (event) {
   document.getElementById('lon').value = res.coords.longitude.toFixed(5)
 }
 
-const ageSpans = ['16+', '24+', '32+', '48+']
+/**
+ * Geohash precision chosen in the form
+ * @returns {number}
+ */
+function selectedGeobits () {
+  const burn = !document.getElementById('pow-switch').checked
+  return burn ? parseInt(document.getElementById('bits').value) : 8
+}
+
 /**
  * Decodes public Key pasted in input and
  * updates the preview/visualization
@@ -151,32 +213,45 @@ const ageSpans = ['16+', '24+', '32+', '48+']
 function decodePublicKey (event) {
   if (event) event.preventDefault()
 
-  let { value } = document.getElementById('inp-pk')
+  const { value } = document.getElementById('inp-pk')
   if (!value.length) return
 
-  if (!/^[a-fA-F0-9]+$/.test(value)) value = nip19.decode(value).data
-  const ASL = decodeASL(value)
+  const geobits = selectedGeobits()
+  let ASL // value may be hex, npub or nprofile
+  try {
+    ASL = describeASL(value, { geobits })
+  } catch (err) {
+    if (!['KeyLengthError', 'InvalidFieldError', 'InvalidGeohashError'].includes(err.name)) throw err
+    document.getElementById('outLocation').innerText = err.message
+    return
+  }
 
-  const { lat, lon } = Geohash.decode(ASL.location)
-  document.getElementById('outPortrait').innerText = emoOf(ASL.sex, ASL.age)
-  document.getElementById('outAge').innerText = ageSpans[ASL.age]
-  document.getElementById('outLocation').href = `https://www.openstreetmap.org/search?query=${lat},${lon}`
-  document.getElementById('outLocation').innerText = `Geohash: ${ASL.location}, Lat: ${lat}, Lon: ${lon}`
-  document.getElementById('outFlag').innerText = flagOf(ASL.location)
+  const { lat, lon } = ASL.center
+  const { minLat, minLon, maxLat, maxLon } = ASL.bbox // Exact cell, cellBounds()
+  document.getElementById('outPortrait').innerText = ASL.emoji
+  document.getElementById('outAge').innerText = ASL.ageLabel
+  document.getElementById('outLocation').href = `https://www.openstreetmap.org/?minlon=${minLon}&minlat=${minLat}&maxlon=${maxLon}&maxlat=${maxLat}&box=yes`
+  document.getElementById('outLocation').innerText = `Geohash: ${ASL.location}, Lat: ${lat}, Lon: ${lon} (±${Math.round(ASL.radiusKm)}km)`
+  document.getElementById('outFlag').innerText = ASL.flag
   document.getElementById('text-share').value = mkPopaganda(value)
-  addMapPin('player', value)
+  addMapPin('player', value, geobits)
 }
 
 // setTimeout(() => addMapPin('player', 'a68de0b819e5bbc15bbe727275826e9e29a9aa44d084f8e3a9736f856ef8edef'), 500)
-function addMapPin (thing, key, nevent) {
-  const { age, sex, location } = decodeASL(key)
-  const { lat, lon } = Geohash.decode(location)
-  const { x, y } = projectRobin(lat, lon)
+
+/**
+ * @param {string} thing pin type
+ * @param {import('./index.js').PublicKeyLike} key public key or event
+ * @param {number} [geobits] precision of key
+ */
+function addMapPin (thing, key, geobits) {
+  const { emoji, center } = describeASL(key, { geobits })
+  const { x, y } = projectRobin(center.lat, center.lon)
   const elBox = document.getElementById('map-box')
   const elMap = document.getElementById('map')
   const r = elMap.getBoundingClientRect()
   const elPin = document.createElement('pow-pin')
-  elPin.innerText = emoOf(sex, age)
+  elPin.innerText = emoji
   const scale = 0.1875279169222285 * 1.969
   const rx = r.width * (x * scale * 0.5 + 0.5)
   const ry = r.height * (y * -scale + 0.5)
@@ -187,25 +262,15 @@ function addMapPin (thing, key, nevent) {
   elBox.appendChild(elPin) // .insertBefore(elPin, elMap)
 }
 
-function emoOf (sex, age = 1) {
-  return [
-    ['👧', '👦', '🧒', '🔋'],
-    ['👩', '👨', '🧑', '🤖'],
-    ['👵', '👴', '🧓', '📟'],
-    ['💃', '🕺', '🌈', '💾']
-  ][age][sex]
-}
-
 function mkPopaganda (pk) {
   let ft = 'Banner'
   let emo = 'Lizard Emoji'
   let at = 'lvl24'
   if (pk) {
-    if (!/^[a-fA-F0-9]+$/.test(pk)) pk = nip19.decode(pk).data
-    const { age, sex, location } = decodeASL(pk)
-    ft = flagOf(location)
-    emo = emoOf(sex, age)
-    at = ageSpans[age]
+    const { flag, emoji, ageLabel } = describeASL(pk)
+    ft = flag
+    emo = emoji
+    at = ageLabel
   }
   return `I decoded my public key and I turned out like this:\n\n${ft} ${emo} ${at}.\n
 Should I #reroll ?
@@ -234,7 +299,7 @@ async function shareDecode (ev) {
   const tarea = document.getElementById('text-share')
   tarea.disabled = true
   document.getElementById('btn-share').disabled = true
-  const asl = decodeASL(pk)
+  const asl = describeASL(pk)
   const gTag = ['g', asl.location]
   const tTags = [
     ['t', 'reroll'],
@@ -270,6 +335,13 @@ function boot () {
   document.getElementById('btn-geo')
     .addEventListener('click', fetchLocation)
 
+  document.getElementById('bits')
+    .addEventListener('input', updateEstimate)
+  document.getElementById('pow-switch')
+    .addEventListener('change', () => { if (hashrate) updateEstimate() })
+  document.getElementById('bits').closest('details')
+    .addEventListener('toggle', updateEstimate, { once: true })
+
   document.getElementById('btn-nip07')
     .addEventListener('click', nip07reveal)
 
@@ -289,6 +361,7 @@ function boot () {
 
   document.getElementById('text-share').value = mkPopaganda()
   initPool()
+  resumeSession()
 }
 document.addEventListener('DOMContentLoaded', boot)
 
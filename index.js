@@ -1,6 +1,8 @@
 /*! powmem - MIT License (c) 2023 Tony Ivanov */
-import { getPublicKey as getPublicKey33, etc } from '@noble/secp256k1'
-const { bytesToHex, hexToBytes } = etc
+import { getPublicKey as getPublicKey33, etc, utils, CURVE, ProjectivePoint } from '@noble/secp256k1'
+import { hmac } from '@noble/hashes/hmac'
+import { sha256 } from '@noble/hashes/sha256'
+const { bytesToHex, hexToBytes, bytesToNumberBE, numberToBytesBE, mod, invert } = etc
 export const getPublicKey = (...a) => getPublicKey33(...a).slice(1)
 
 /** @typedef {0|1} bit */
@@ -11,85 +13,895 @@ const GHM = '0123456789bcdefghjkmnpqrstuvwxyz' // (geohash-specific) Base32 map
 const GHU = GHM.split('').reduce((h, l, i) => { h[l] = i; return h }, {})
 
 export const SANE_DEFAULT = 15 // Somewhat sane
+export const WILDCARD = '*' // Don't care; for age, sex or geohash characters
+
+/** Thrown when a geohash contains characters outside the geohash base32 alphabet */
+export class InvalidGeohashError extends Error {
+  /** @param {string} geohash */
+  constructor (geohash) {
+    super(`Invalid geohash ${JSON.stringify(geohash)}, expected characters from '${GHM}'`)
+    this.name = 'InvalidGeohashError'
+    this.geohash = geohash
+  }
+}
+
+/** Thrown when a field or option is out of range or of the wrong type */
+export class InvalidFieldError extends Error {
+  /**
+   * @param {string} field name of field
+   * @param {any} value the rejected value
+   * @param {string} [expected] description of valid values
+   */
+  constructor (field, value, expected) {
+    super(`Invalid ${field}: ${typeof value === 'bigint' ? value : JSON.stringify(value)}` + (expected ? `, expected ${expected}` : ''))
+    this.name = 'InvalidFieldError'
+    this.field = field
+    this.value = value
+  }
+}
+
+/** Thrown when a key or buffer has the wrong amount of bytes */
+export class KeyLengthError extends Error {
+  /**
+   * @param {number} length actual amount of bytes
+   * @param {number} expected expected amount of bytes
+   * @param {boolean} [atLeast] expected is a minimum
+   */
+  constructor (length, expected, atLeast = false) {
+    super(`Expected ${atLeast ? 'at least ' : ''}${expected} bytes, got ${length}`)
+    this.name = 'KeyLengthError'
+    this.length = length
+    this.expected = expected
+  }
+}
+
+const MAX_GEOBITS = 256 - 4
+
+/**
+ * @typedef {object} RollResult
+ * @property {hexstring?} secret secret key, null when maxTries was exhausted
+ * @property {hexstring?} publicKey x-only public key of secret
+ * @property {number} attempts number of keys tested
+ * @property {number} elapsedMs time spent searching
+ * @property {number} [counter] position of secret when rolled from a seed, see deriveSecret()
+ * @property {ASL} [match] the target that matched when targets were given as a list, even of one
+ */
+
+/**
+ * @typedef {object} RollProgress
+ * @property {number} attempts number of keys tested so far
+ * @property {number} elapsedMs time spent searching so far
+ * @property {number} hashrate keys tested per second
+ * @property {number} [counter] next position to test when rolling from a seed
+ */
+
+/**
+ * @typedef {object} Target
+ * @property {number|'*'|Array<number|'*'>} [age] one or more acceptable ages
+ * @property {number|'*'|Array<number|'*'>} [sex] one or more acceptable sexes
+ * @property {string|string[]} [location] one or more acceptable geohashes
+ */
+
+/**
+ * Vanity constraint on the bits that follow ASL
+ * @typedef {object} Vanity
+ * @property {string} [hex] public-key hex must end with this
+ * @property {string} [npub] bech32 npub must contain this
+ */
 
 /**
- * Rolls keypairs until a matching public-key is found
- * @param {0|1|2|3} age values: 0: 16+, 1: 24+; 2: 32+; 3: 40+
- * @param {0|1|2|3} sex values: 0: Female, 1: Male, 2: Nonbinary, 3: Bot
- * @param {string} location a geohash
+ * Rolls keypairs until a matching public-key is found.
+ * Use WILDCARD '*' or undefined for fields you don't care about.
+ * Pass an array of targets as first argument to accept any of them:
+ * `roll(targets, geobits, opts)`
+ * @param {0|1|2|3|'*'|Target[]} age values: 0: 16+, 1: 24+; 2: 32+; 3: 48+
+ * @param {0|1|2|3|'*'} sex values: 0: Female, 1: Male, 2: Nonbinary, 3: Bot
+ * @param {string} location a geohash, may contain '*' for any character
  * @param {number} [geobits] geohash bit-size; default: 15
- * @param {number} [maxTries] maximum number of rolls before giving up.
- * @returns {Uint8Array?} secret key if found within maxTries, null otherwise
+ * @param {number|{maxTries?: number, seed?: string|Uint8Array, extraWork?: number, vanity?: Vanity}} [opts] maximum number of rolls before giving up.
+ *  or options, when given an object the full RollResult is returned.
+ *  extraWork: amount of zero bits required after ASL, see workOf()
+ * @returns {hexstring|RollResult} secret key if found within maxTries, undefined otherwise
+ */
+export function roll (age, sex, location, geobits = SANE_DEFAULT, opts = 500000) {
+  let targets
+  if (Array.isArray(age)) {
+    targets = age
+    geobits = sex ?? SANE_DEFAULT
+    opts = location ?? 500000
+  }
+  const detailed = typeof opts === 'object' && opts !== null
+  const { maxTries = 500000, seed, extraWork, vanity } = detailed ? opts : { maxTries: opts }
+  const start = performance.now()
+  const job = createJob({ age, sex, location, targets, geobits, extraWork, vanity, maxTries, seed })
+  const counter = advance(job)
+  const result = mkResult(job, counter, start)
+  if (detailed) return result
+  if (result.secret) return result.secret
+}
+
+/**
+ * Rolls multiple identities in one go, every key is tested against
+ * all targets that still need keys which is a lot cheaper than calling roll() repeatedly.
+ * @param {Target[]} targets
+ * @param {object} [opts]
+ * @param {number} [opts.count] keys wanted per target; default: 1
+ * @param {number} [opts.geobits] geohash bit-size; default: 15
+ * @param {number} [opts.maxTries] give up after; default: 500000 per key wanted
+ * @param {string|Uint8Array} [opts.seed] roll from seed, see deriveSecret()
+ * @param {number} [opts.extraWork] see roll()
+ * @param {Vanity} [opts.vanity] see roll()
+ * @returns {Array<Array<{secret: hexstring, publicKey: hexstring, counter?: number}>>}
+ *  keys for each target, shorter than count if maxTries was reached.
+ */
+export function rollMany (targets, opts = {}) {
+  if (!Array.isArray(targets)) throw new InvalidFieldError('targets', targets, 'an array')
+  const { count = 1, geobits = SANE_DEFAULT, extraWork, vanity, seed } = opts
+  checkInteger('count', count, 1)
+  const { maxTries = 500000 * count * targets.length } = opts
+  checkMaxTries(maxTries)
+  let cursor = createCursor(seed === undefined ? bytesToNumberBE(utils.randomPrivateKey()) : seedScalar(seed))
+  const keys = targets.map(() => [])
+  let owners, match
+  const compile = () => { // Only look for targets that need more keys
+    owners = []
+    const open = []
+    targets.forEach((target, i) => {
+      if (keys[i].length >= count) return
+      for (const t of expandTargets([target])) {
+        open.push(t)
+        owners.push(i)
+      }
+    })
+    match = compileTargets(open, geobits, extraWork, vanity)
+    return open.length
+  }
+  let remaining = compile()
+  let attempts = 0
+  while (remaining && attempts < maxTries) {
+    const { base, counter } = cursor
+    let n = Math.min(BATCH, maxTries - attempts)
+    for (const { index, x } of scan(cursor, match, n)) {
+      const m = match(x)
+      if (m === -1) continue // Target filled earlier in this batch
+      const sk = mod(base + BigInt(counter + index), CURVE.n)
+      const key = { secret: bytesToHex(numberToBytesBE(sk)), publicKey: bytesToHex(numberToBytesBE(x)) }
+      if (seed !== undefined) key.counter = counter + index
+      keys[owners[m]].push(key)
+      if (keys[owners[m]].length >= count) remaining = compile()
+      if (seed === undefined) {
+        // Keys found on the same walk are a few steps apart, one leaked secret would reveal the rest.
+        cursor = createCursor(bytesToNumberBE(utils.randomPrivateKey()))
+        n = index + 1
+        break
+      }
+    }
+    attempts += n
+  }
+  return keys
+}
+
+/**
+ * Non-blocking version of roll(), yields to the event-loop
+ * between batches and can be aborted.
+ * @param {Target & {targets?: Target[], geobits?: number, extraWork?: number, vanity?: Vanity, maxTries?: number, seed?: string|Uint8Array, counter?: number}} params
+ *  either a single target or a list of targets, counter is where to start when rolling from a seed.
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] aborts the search, rejects with signal.reason
+ * @param {(progress: RollProgress) => void} [opts.onProgress] invoked after every batch
+ * @param {number} [opts.sliceMs] time to spend searching before yielding; default: 50
+ * @returns {Promise<RollResult>}
+ */
+export async function rollAsync (params, opts = {}) {
+  return runAsync(createJob({ ...params, maxTries: params?.maxTries ?? Infinity }), opts)
+}
+
+/**
+ * Prepares a job for outsourced mining.
+ * The job only contains your public point, the miner searches
+ * for a tweak and never learns the secret, see mineTweak()
+ * @param {Uint8Array|hexstring} secret your secret key
+ * @param {{age: number, sex: number, location: string, geobits?: number}} params ASL target
+ * @returns {{point: hexstring, age: number, sex: number, location: string, geobits: number}} JSON serializable job
+ */
+export function createMiningJob (secret, { age, sex, location, geobits = SANE_DEFAULT }) {
+  compileTargets(expandTargets([{ age, sex, location }]), geobits) // Validate before handing out
+  const point = bytesToHex(getPublicKey33(toKey(secret, 32, 'secret'), true))
+  return { point, age, sex, location, geobits }
+}
+
+/**
+ * Searches for a tweak so that `job.point + tweak·G` matches the ASL target.
+ * Accepts the same options as rollAsync()
+ * @param {ReturnType<createMiningJob>} job
+ * @param {{signal?: AbortSignal, onProgress?: (progress: RollProgress) => void, sliceMs?: number, maxTries?: number}} [opts]
+ * @returns {Promise<{tweak: hexstring?, publicKey: hexstring?, attempts: number, elapsedMs: number}>}
+ */
+export async function mineTweak (job, opts = {}) {
+  const { point, ...params } = job
+  const { maxTries = Infinity } = opts
+  const origin = ProjectivePoint.fromHex(toKey(point, 33, 'point'))
+  const { secret, ...result } = await runAsync(createJob({ ...params, maxTries, origin }), opts)
+  return { tweak: secret, ...result }
+}
+
+/**
+ * Applies tweak found by mineTweak() to your secret key
+ * @param {Uint8Array|hexstring} secret your secret key
+ * @param {hexstring} tweak
+ * @returns {hexstring} new secret key
+ */
+export function combineTweak (secret, tweak) {
+  secret = toKey(secret, 32, 'secret')
+  const sk = mod(bytesToNumberBE(secret) + bytesToNumberBE(toKey(tweak, 32, 'tweak')), CURVE.n)
+  return bytesToHex(numberToBytesBE(sk))
+}
+
+async function runAsync (job, { signal, onProgress, sliceMs = 50 }) {
+  const start = performance.now()
+  while (job.attempts < job.maxTries) {
+    signal?.throwIfAborted()
+    const counter = advance(job, performance.now() + sliceMs)
+    if (counter !== -1) return mkResult(job, counter, start)
+    const elapsedMs = performance.now() - start
+    const progress = { attempts: job.attempts, elapsedMs, hashrate: job.attempts / elapsedMs * 1000 }
+    if (job.seeded) progress.counter = job.cursor.counter
+    if (onProgress) onProgress(progress)
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+  return mkResult(job, -1, start)
+}
+
+/**
+ * Size of the counter space each worker searches when rolling from a seed,
+ * worker N starts at N * LANE_SIZE
+ */
+export const LANE_SIZE = 2 ** 40
+
+/**
+ * Resumable roll. Searches from a seed and keeps track of the position,
+ * serialize with JSON.stringify() and continue later using fromJSON().
+ */
+export class MiningSession {
+  /**
+   * @param {Target & {targets?: Target[], geobits?: number, extraWork?: number, vanity?: Vanity, seed?: string}} params
+   *  same as rollAsync(), a random seed is generated if none provided.
+   */
+  constructor (params) {
+    if (typeof params !== 'object' || params === null) throw new InvalidFieldError('params', params, 'an object')
+    const { seed = bytesToHex(etc.randomBytes(32)), ...target } = params
+    seedScalar(seed)
+    compileTargets(expandTargets(target.targets || [target]), target.geobits ?? SANE_DEFAULT, target.extraWork, target.vanity)
+    this.params = { ...target, seed }
+    /** @type {number[]} next counter of each lane */
+    this.counters = [0]
+    this.attempts = 0
+    this.elapsedMs = 0
+    /** @type {RollResult?} */
+    this.result = null
+  }
+
+  /**
+   * Continues the search until a key is found.
+   * Accepts the same options as rollAsync(), pass a miner to search in parallel.
+   * @param {{signal?: AbortSignal, onProgress?: (progress: RollProgress) => void, sliceMs?: number, miner?: import('./miner.js').Miner}} [opts]
+   * @returns {Promise<RollResult>}
+   */
+  async run ({ signal, onProgress, sliceMs, miner } = {}) {
+    if (this.result) return this.result
+    const { attempts, elapsedMs } = this
+    const update = p => {
+      this.attempts = attempts + p.attempts
+      this.elapsedMs = elapsedMs + p.elapsedMs
+      if (p.counters) this.counters = p.counters
+      else if (p.counter !== undefined) this.counters[0] = p.counter
+    }
+    const opts = {
+      signal,
+      sliceMs,
+      onProgress: p => {
+        update(p)
+        if (onProgress) onProgress({ ...p, attempts: this.attempts, elapsedMs: this.elapsedMs })
+      }
+    }
+    const result = miner
+      ? await miner.roll(this.params, { ...opts, counters: this.counters })
+      : await rollAsync({ ...this.params, counter: this.counters[0] }, opts)
+    update(result)
+    this.result = { ...result, attempts: this.attempts, elapsedMs: this.elapsedMs }
+    return this.result
+  }
+
+  toJSON () {
+    const { params, counters, attempts, elapsedMs, result } = this
+    return { params, counters, attempts, elapsedMs, result }
+  }
+
+  /**
+   * Restores a session
+   * @param {string|object} json output of JSON.stringify(session)
+   * @returns {MiningSession}
+   */
+  static fromJSON (json) {
+    if (typeof json === 'string') json = JSON.parse(json)
+    const session = new MiningSession(json.params)
+    Object.assign(session, {
+      counters: json.counters,
+      attempts: json.attempts,
+      elapsedMs: json.elapsedMs,
+      result: json.result
+    })
+    return session
+  }
+}
+
+/**
+ * Re-derives a secret rolled from a seed.
+ * Secrets are `HMAC-SHA256(seed, 'powmem') + counter`, the scalar
+ * is incremented instead of re-hashed to keep the search fast.
+ * @param {string|Uint8Array} seed passphrase or bytes
+ * @param {number} counter as returned by roll()
+ * @returns {hexstring} secret key
  */
-export function roll (age, sex, location, geobits = SANE_DEFAULT, maxTries = 500000) {
+export function deriveSecret (seed, counter) {
+  checkInteger('counter', counter, 0)
+  return bytesToHex(numberToBytesBE(mod(seedScalar(seed) + BigInt(counter), CURVE.n)))
+}
+
+/**
+ * @typedef {object} Estimate
+ * @property {number} bits total amount of bits that have to match, fractional for multiple targets
+ * @property {number} probability chance that a single attempt succeeds
+ * @property {{attempts: number, seconds?: number}} expected mean
+ * @property {{attempts: number, seconds?: number}} median 50% of searches finish within
+ * @property {{attempts: number, seconds?: number}} p90 90% of searches finish within
+ * @property {{attempts: number, seconds?: number}} p99 99% of searches finish within
+ */
+
+/**
+ * Estimates the work required to roll a key.
+ * Attempts until success follow a geometric distribution.
+ * Fields present in target that are wildcards do not count.
+ * @param {Target & {targets?: Target[], geobits?: number, extraWork?: number, vanity?: Vanity, extraBits?: number}} [target]
+ *  same options as roll(); default: 15 geobits.
+ *  extraBits: any other bits that have to match, counted like vanity
+ * @param {number} [hashrate] keys per second, when provided the estimate includes seconds
+ * @returns {Estimate}
+ */
+export function estimate (target = {}, hashrate) {
+  if (hashrate !== undefined && !(hashrate > 0)) throw new InvalidFieldError('hashrate', hashrate, 'a positive number')
+  const { geobits = SANE_DEFAULT, extraWork = 0, vanity } = target
+  const targets = expandTargets(target.targets || [{
+    age: 'age' in target ? target.age : 0,
+    sex: 'sex' in target ? target.sex : 0,
+    location: 'location' in target ? target.location : ''
+  }])
+  compileTargets(targets, geobits, extraWork, vanity) // Validates vanity against ASL
+  const extraBits = checkInteger('extraBits', target.extraBits ?? 0, 0) + vanityBits(vanity)
+  let probability = 0 // Sum of chances, assumes targets don't overlap.
+  for (const { age, sex, location } of targets) {
+    probability += 2 ** -(popcount(encodePrefix(age, sex, location, geobits, extraWork).mask) + extraBits)
+  }
+  probability = Math.min(1, probability)
+  const bits = -Math.log2(probability)
+  const quantile = q => Math.max(1, Math.ceil(Math.log1p(-q) / Math.log1p(-probability))) // At least one attempt
+  const span = attempts => hashrate ? { attempts, seconds: attempts / hashrate } : { attempts }
+  return {
+    bits,
+    probability,
+    expected: span(2 ** bits),
+    median: span(quantile(0.5)),
+    p90: span(quantile(0.9)),
+    p99: span(quantile(0.99))
+  }
+}
+
+function popcount (n) {
+  let c = 0
+  for (; n; n >>= 1n) c += Number(n & 1n)
+  return c
+}
+
+/**
+ * Measures local single-core hashrate of roll()
+ * @param {number} [ms] duration of measurement; default: 250
+ * @returns {number} keys per second
+ */
+export function calibrate (ms = 250) {
+  if (!(ms > 0 && ms < Infinity)) throw new InvalidFieldError('ms', ms, 'a positive number')
+  const unreachable = () => -1
+  const cursor = createCursor(bytesToNumberBE(utils.randomPrivateKey()))
+  const start = performance.now()
+  let attempts = 0
+  let elapsed = 0
+  do {
+    scan(cursor, unreachable, BATCH)
+    attempts += BATCH
+    elapsed = performance.now() - start
+  } while (elapsed < ms)
+  return attempts / elapsed * 1000
+}
+
+/**
+ * Encodes ASL into the prefix that roll() searches for,
+ * wildcard fields are left out of the mask.
+ * @param {number} [extraWork] amount of zero bits required after ASL
+ * @returns {{mask: bigint, value: bigint}} bits to compare against the x-coordinate of public-key
+ */
+function encodePrefix (age, sex, location, geobits, extraWork = 0) {
+  checkInteger('geobits', geobits, 5, MAX_GEOBITS)
+  checkInteger('extraWork', extraWork, 0, 256)
   const nbits = geobits + 4
-  const buf = new Uint8Array(roundByte(nbits))
-  const prefix = packGeo(location, geobits, buf)
-  shift(prefix, sex & 0b10)
-  shift(prefix, sex & 1)
-  shift(prefix, age & 0b10)
-  shift(prefix, age & 1)
-  const mask = nbits % 8
-    ? (1 << (nbits % 8)) - 1
-    : 0xff
-  // console.info('Searching for', nbits, binstr(prefix), 'mask', mask.toString(2))
-  const nBytes = prefix.length
-  const sk = new Uint8Array(32)
-  for (let i = 0; i < maxTries; i++) {
-    globalThis.crypto.getRandomValues(sk)
-    const pk = getPublicKey(sk)
-    let v = true
-    for (let n = 0; v && n < nBytes; n++) {
-      v = (n + 1 === nBytes)
-        ? (pk[n] & mask) === (prefix[n] & mask)
-        : v = pk[n] === prefix[n]
+  const quintets = Math.ceil(geobits / 5)
+  if (isWild(location)) location = WILDCARD.repeat(quintets)
+  let geo, fixed
+  if (typeof location === 'object') {
+    geo = packLatLon(location.lat, location.lon, geobits)
+    fixed = packGeo('z'.repeat(quintets), geobits)
+  } else {
+    // Pack a second hash where fixed quintets are all ones to produce the mask.
+    geo = packGeo(location.replace(/\*/g, '0').padEnd(quintets, '0'), geobits)
+    fixed = packGeo(location.replace(/[^*]/g, 'z').replace(/\*/g, '0').padEnd(quintets, 'z'), geobits)
+  }
+  const prefix = new BitWriter(new Uint8Array(32))
+  const mask = new BitWriter(new Uint8Array(32))
+  prefix.writeBits(isWild(age) ? 0 : age, 2)
+  prefix.writeBits(isWild(sex) ? 0 : sex, 2)
+  mask.writeBits(isWild(age) ? 0 : 3, 2)
+  mask.writeBits(isWild(sex) ? 0 : 3, 2)
+  copyBits(new BitReader(geo), prefix, geobits)
+  copyBits(new BitReader(fixed), mask, geobits)
+  // Extra work, zero bits following the ASL field
+  for (let k = Math.min(extraWork, 256 - nbits); k > 0; k -= 32) mask.writeBits(2 ** Math.min(k, 32) - 1, Math.min(k, 32))
+  const m = bytesToNumberBE(mask.buffer)
+  return { mask: m, value: bytesToNumberBE(prefix.buffer) & m }
+}
+
+const isWild = v => v === undefined || v === WILDCARD
+
+/*
+ * Instead of computing sk·G for every attempt the search starts at a random
+ * point and walks the curve: P += G, sk += 1.
+ * The x-coordinates of each batch are normalized using a single inversion.
+ */
+const BATCH = 256
+const G = ProjectivePoint.BASE
+
+function seedScalar (seed) {
+  if (typeof seed !== 'string' && !(seed instanceof Uint8Array)) throw new InvalidFieldError('seed', seed, 'a string or Uint8Array')
+  const key = typeof seed === 'string' ? new TextEncoder().encode(seed) : seed
+  return mod(bytesToNumberBE(hmac(sha256, key, 'powmem')), CURVE.n - 1n) + 1n
+}
+
+/**
+ * Sets up search state for roll()/rollAsync()
+ */
+function createJob ({ age, sex, location, targets, geobits = SANE_DEFAULT, extraWork, vanity, maxTries, seed, counter = 0, origin }) {
+  checkMaxTries(maxTries)
+  checkInteger('counter', counter, 0)
+  const base = seed === undefined
+    ? bytesToNumberBE(utils.randomPrivateKey())
+    : seedScalar(seed)
+  const listed = targets !== undefined // Results of the list form tell which target matched
+  targets = expandTargets(targets || [{ age, sex, location }])
+  return {
+    targets,
+    listed,
+    match: compileTargets(targets, geobits, extraWork, vanity),
+    cursor: createCursor(base, counter, origin),
+    seeded: seed !== undefined,
+    maxTries,
+    attempts: 0
+  }
+}
+
+/**
+ * Runs batches until a match is found, maxTries is reached or time runs out.
+ * @returns {number} counter of matching key or -1
+ */
+function advance (job, deadline = Infinity) {
+  const { cursor, match } = job
+  do {
+    const n = Math.min(BATCH, job.maxTries - job.attempts)
+    const counter = cursor.counter
+    const hits = scan(cursor, match, n)
+    job.attempts += hits.length ? hits[0].index + 1 : n
+    if (hits.length) return counter + hits[0].index
+  } while (job.attempts < job.maxTries && performance.now() < deadline)
+  return -1
+}
+
+/** @returns {RollResult} */
+function mkResult (job, counter, start) {
+  const elapsedMs = performance.now() - start
+  const { attempts } = job
+  if (counter === -1) return { secret: null, publicKey: null, attempts, elapsedMs }
+  const { base, origin } = job.cursor
+  const sk = mod(base + BigInt(counter), CURVE.n)
+  const publicKey = origin.add(G.multiply(sk)).toAffine().x
+  const result = {
+    secret: bytesToHex(numberToBytesBE(sk)),
+    publicKey: bytesToHex(numberToBytesBE(publicKey)),
+    attempts,
+    elapsedMs
+  }
+  if (job.seeded) result.counter = counter
+  if (job.listed) result.match = job.targets[job.match(publicKey)]
+  return result
+}
+
+/**
+ * Search position, point is origin + sk·G
+ * @returns {{base: bigint, counter: number, sk: bigint, origin: ProjectivePoint, point: ProjectivePoint}}
+ */
+function createCursor (base, counter = 0, origin = ProjectivePoint.ZERO) {
+  const sk = mod(base + BigInt(counter), CURVE.n)
+  return { base, counter, sk, origin, point: origin.add(G.multiply(sk)) }
+}
+
+/**
+ * Expands targets with multiple choices per field into single targets
+ * @param {Target[]} targets
+ * @returns {ASL[]}
+ */
+function expandTargets (targets) {
+  if (!Array.isArray(targets) || !targets.length) throw new InvalidFieldError('targets', targets, 'a non-empty array')
+  const out = []
+  for (const { age, sex, location } of targets) {
+    for (const a of [age].flat()) {
+      for (const s of [sex].flat()) {
+        for (const l of [location].flat()) out.push(checkTarget({ age: a, sex: s, location: l }))
+      }
     }
-    if (v) return bytesToHex(sk)
   }
+  return out
 }
 
+/**
+ * Throws unless age and sex are 0-3 and location a geohash, wildcards allowed.
+ * @returns {ASL}
+ */
+function checkTarget (target) {
+  const { age, sex, location } = target
+  if (!isWild(age) && !(Number.isInteger(age) && age >= 0 && age <= 3)) throw new InvalidFieldError('age', age, `0-3 or '${WILDCARD}'`)
+  if (!isWild(sex) && !(Number.isInteger(sex) && sex >= 0 && sex <= 3)) throw new InvalidFieldError('sex', sex, `0-3 or '${WILDCARD}'`)
+  if (typeof location === 'object' && location !== null) checkLatLon(location.lat, location.lon)
+  else if (!isWild(location)) checkGeohash(location, true)
+  return target
+}
+
+function checkGeohash (hash, wildcards = false) {
+  if (typeof hash !== 'string') throw new InvalidGeohashError(hash)
+  for (const c of hash) {
+    if (!(c in GHU) && !(wildcards && c === WILDCARD)) throw new InvalidGeohashError(hash)
+  }
+}
+
+function checkInteger (field, value, min, max = Number.MAX_SAFE_INTEGER) {
+  if (!Number.isInteger(value) || value < min || value > max) throw new InvalidFieldError(field, value, `an integer ${min}-${max}`)
+  return value
+}
+
+function checkMaxTries (maxTries) {
+  if (maxTries !== Infinity && !(Number.isInteger(maxTries) && maxTries >= 0)) throw new InvalidFieldError('maxTries', maxTries, 'an integer >= 0 or Infinity')
+}
+
+/*
+ * Normalizes a PublicKeyLike into a 32-byte x-only key
+ * @returns {Uint8Array}
+ */
+function toPublicKey (key) {
+  if (typeof key === 'object' && key !== null && !(key instanceof Uint8Array)) {
+    if (typeof key.pubkey !== 'string') throw new InvalidFieldError('publicKey', key, 'an event with pubkey')
+    key = key.pubkey
+  }
+  if (typeof key === 'string' && /^n(pub|profile)1/i.test(key)) {
+    const { type, data } = fromBech32(key)
+    return hexToBytes(type === 'nprofile' ? data.pubkey : data)
+  }
+  const length = typeof key === 'string' ? key.length / 2 : key?.length
+  if (length !== 33) return toKey(key, 32)
+  key = toKey(key, 33)
+  if (key[0] !== 2 && key[0] !== 3) throw new InvalidFieldError('publicKey', bytesToHex(key), 'compressed key with prefix 02 or 03')
+  return key.subarray(1) // Drop parity like getPublicKey()
+}
+
+/*
+ * Converts hex or bytes to a key of expected length
+ * @returns {Uint8Array}
+ */
+function toKey (key, length, field = 'publicKey') {
+  if (typeof key === 'string') {
+    if (!/^[0-9a-fA-F]*$/.test(key)) throw new InvalidFieldError(field, key, 'hex')
+    if (key.length !== length * 2) throw new KeyLengthError(key.length / 2, length)
+    return hexToBytes(key)
+  }
+  if (!(key instanceof Uint8Array)) throw new InvalidFieldError(field, key, 'hex or Uint8Array')
+  if (key.length !== length) throw new KeyLengthError(key.length, length)
+  return key
+}
+
+/**
+ * Builds a prefix set of targets grouped by mask,
+ * each key is tested with one lookup per distinct mask.
+ * @returns {(x: bigint) => number} index of matching target or -1
+ */
+function compileTargets (targets, geobits, extraWork, vanity = {}) {
+  const { hex = '', npub } = vanity
+  if (typeof hex !== 'string' || !/^[0-9a-f]*$/.test(hex)) throw new InvalidFieldError('vanity.hex', hex, 'lowercase hex')
+  if (npub !== undefined && (typeof npub !== 'string' || !new RegExp(`^[${B32}]+$`).test(npub))) throw new InvalidFieldError('vanity.npub', npub, 'bech32 characters')
+  // Hex suffix is part of the mask, the low nibbles of x.
+  const hexMask = (1n << BigInt(hex.length * 4)) - 1n
+  const hexValue = hex ? BigInt('0x' + hex) : 0n
+  const groups = new Map()
+  targets.forEach(({ age, sex, location }, i) => {
+    let { mask, value } = encodePrefix(age, sex, location, geobits, extraWork)
+    // Overlapping bits would have to match both, such a target is never found.
+    if (mask & hexMask) throw new InvalidFieldError('vanity.hex', hex, 'a suffix clear of the ASL and extraWork bits')
+    mask |= hexMask
+    value |= hexValue
+    if (!groups.has(mask)) groups.set(mask, new Map())
+    const values = groups.get(mask)
+    if (!values.has(value)) values.set(value, i)
+  })
+  const entries = [...groups]
+  return x => {
+    for (const [mask, values] of entries) {
+      const i = values.get(x & mask)
+      if (i === undefined) continue
+      // Encoding is expensive, only done for keys that passed the mask.
+      if (npub && !bech32Encode('npub', numberToBytesBE(x)).includes(npub, 5)) continue
+      return i
+    }
+    return -1
+  }
+}
+
+/**
+ * Amount of bits a vanity constraint is worth
+ * @returns {number}
+ */
+function vanityBits ({ hex = '', npub = '' } = {}) {
+  // An npub has 58 characters after 'npub1' where the substring can start
+  const npubBits = npub ? -Math.log2(Math.min(1, (59 - npub.length) * 32 ** -npub.length)) : 0
+  return hex.length * 4 + npubBits
+}
+
+/**
+ * Tests count keys starting at cursor and advances it.
+ * @returns {{index: number, x: bigint}[]} matching keys within batch
+ */
+function scan (cursor, match, count) {
+  const points = new Array(count)
+  let point = cursor.point
+  for (let i = 0; i < count; i++) {
+    points[i] = point
+    point = point.add(G)
+  }
+  const xs = affineX(points)
+  const offset = cursor.sk
+  cursor.point = point
+  cursor.sk = mod(offset + BigInt(count), CURVE.n)
+  cursor.counter += count
+  const hits = []
+  for (let i = 0; i < count; i++) {
+    if (xs[i] >= 0n && match(xs[i]) !== -1) hits.push({ index: i, x: xs[i] })
+  }
+  return hits
+}
+
+/**
+ * Montgomery's batch inversion, converts projective points to affine x.
+ * @param {ProjectivePoint[]} points
+ * @returns {bigint[]} x-coordinates
+ */
+function affineX (points) {
+  const p = CURVE.p
+  const n = points.length
+  const acc = new Array(n)
+  let z = 1n
+  for (let i = 0; i < n; i++) {
+    z = points[i].pz ? mod(z * points[i].pz, p) : z // Skip point at infinity
+    acc[i] = z
+  }
+  let inv = invert(z, p)
+  const xs = new Array(n)
+  for (let i = n - 1; i >= 0; i--) {
+    const { px, pz } = points[i]
+    if (!pz) { xs[i] = -1n; continue } // Infinity, secret or combined secret is 0
+    xs[i] = mod(px * (i ? mod(inv * acc[i - 1], p) : inv), p)
+    inv = mod(inv * pz, p)
+  }
+  return xs
+}
+
+/**
+ * Anything that holds a public key:
+ * 32-byte x-only or 33-byte compressed key as hex or Uint8Array,
+ * npub or nprofile string, or a nostr event.
+ * @typedef {Uint8Array|hexstring|string|{pubkey: hexstring}} PublicKeyLike
+ */
+
 /**
  * Holistically decodes ASL from a public key
- * @param {Uint8Array|hexstring} publicKey
+ * @param {PublicKeyLike} publicKey
  * @param {number} geobits geohash bit-size; default: 15
  * @returns {ASL}
  */
 export function decodeASL (publicKey, geobits = SANE_DEFAULT) {
-  if (typeof publicKey === 'string') publicKey = hexToBytes(publicKey)
-  const cpy = new Uint8Array(roundByte(4 + geobits)) // unshift alters buffers, using a copy.
-  for (let i = 0; i < cpy.length; i++) cpy[i] = publicKey[i]
-  const age = unshift(cpy) | unshift(cpy) << 1
-  const sex = unshift(cpy) | unshift(cpy) << 1
-  const location = unpackGeo(cpy, geobits)
-  return { age, sex, location }
+  checkInteger('geobits', geobits, 5, MAX_GEOBITS)
+  const reader = new BitReader(toPublicKey(publicKey))
+  const age = reader.readBits(2)
+  const sex = reader.readBits(2)
+  return { age, sex, location: readGeo(reader, geobits) }
+}
+
+/*
+ * Splits public key into age, sex and the packed geohash that follows
+ * @returns {{age: number, sex: number, geo: Uint8Array}}
+ */
+function splitKey (publicKey, geobits) {
+  checkInteger('geobits', geobits, 5, MAX_GEOBITS)
+  const reader = new BitReader(toPublicKey(publicKey))
+  const age = reader.readBits(2)
+  const sex = reader.readBits(2)
+  const geo = new BitWriter(new Uint8Array(roundByte(geobits)))
+  copyBits(reader, geo, geobits)
+  return { age, sex, geo: geo.buffer }
+}
+
+/**
+ * @typedef {object} ASLColumns
+ * @property {Uint8Array} age
+ * @property {Uint8Array} sex
+ * @property {Uint32Array|BigUint64Array} cell geohash bits as a number, first character most significant,
+ *   BigUint64Array above 32 geobits.
+ * @property {string[]} [location] geohash strings, only when requested
+ */
+
+/**
+ * Decodes ASL of many keys at once into columns,
+ * fields of the i-th key are found at index i.
+ * @param {Uint8Array} keys 32-byte x-only public keys back to back
+ * @param {number} [geobits] geohash bit-size 5-64; default: 15
+ * @param {{geohash?: boolean}} [opts] geohash: also decode location strings; default: false
+ * @returns {ASLColumns}
+ */
+export function decodeMany (keys, geobits = SANE_DEFAULT, opts = {}) {
+  if (!(keys instanceof Uint8Array)) throw new InvalidFieldError('keys', keys, 'a Uint8Array')
+  if (keys.length % 32) throw new KeyLengthError(keys.length, keys.length + 32 - keys.length % 32)
+  checkInteger('geobits', geobits, 5, 64)
+  const { geohash = false } = opts
+  const n = keys.length / 32
+  const big = geobits > 32
+  const age = new Uint8Array(n)
+  const sex = new Uint8Array(n)
+  const cell = big ? new BigUint64Array(n) : new Uint32Array(n)
+  const location = geohash ? new Array(n) : undefined
+  const reader = new BitReader(keys)
+  for (let i = 0; i < n; i++) {
+    reader.offset = i * 256
+    age[i] = reader.readBits(2)
+    sex[i] = reader.readBits(2)
+    let v = big ? 0n : 0
+    let str = ''
+    for (let q = 0; q < geobits; q += 5) {
+      const x = Math.min(5, geobits - q)
+      const bits = reader.readBits(x)
+      v = big ? v << BigInt(x) | BigInt(bits) : v * (1 << x) + bits
+      if (geohash) str += GHM[bits << (5 - x)]
+    }
+    cell[i] = v
+    if (geohash) location[i] = str
+  }
+  const columns = { age, sex, cell }
+  if (geohash) columns.location = location
+  return columns
+}
+
+const AGE_LABELS = ['16+', '24+', '32+', '48+']
+const SEX_LABELS = ['female', 'male', 'nonbinary', 'bot']
+const PORTRAITS = [ // [age][sex]
+  ['👧', '👦', '🧒', '🔋'],
+  ['👩', '👨', '🧑', '🤖'],
+  ['👵', '👴', '🧓', '📟'],
+  ['💃', '🕺', '🌈', '💾']
+]
+const KM_PER_DEGREE = 111.32
+
+/**
+ * @typedef {object} BBox
+ * @property {number} minLat south
+ * @property {number} minLon west
+ * @property {number} maxLat north
+ * @property {number} maxLon east
+ */
+
+/**
+ * @typedef {ASL & {
+ *   ageLabel: string,
+ *   sexLabel: string,
+ *   emoji: string,
+ *   center: {lat: number, lon: number},
+ *   bbox: BBox,
+ *   cellKm: {width: number, height: number},
+ *   radiusKm: number,
+ *   flag: string
+ * }} ASLDescription
+ */
+
+/**
+ * Decodes ASL and describes it for humans,
+ * location is given as the cell the key points to.
+ * @param {PublicKeyLike} publicKey
+ * @param {{geobits?: number}} [opts] geobits: geohash bit-size; default: 15
+ * @returns {ASLDescription} radiusKm is the distance from center to the corners of the cell
+ */
+export function describeASL (publicKey, opts = {}) {
+  const { geobits = SANE_DEFAULT } = opts
+  const { age, sex, geo } = splitKey(publicKey, geobits)
+  const asl = { age, sex, location: unpackGeo(geo, geobits) }
+  const { lat, lon, bbox } = unpackLatLon(geo, geobits)
+  const center = { lat, lon }
+  const height = (bbox.maxLat - bbox.minLat) * KM_PER_DEGREE
+  const width = (bbox.maxLon - bbox.minLon) * KM_PER_DEGREE * Math.cos(center.lat * Math.PI / 180)
+  return {
+    ...asl,
+    ageLabel: AGE_LABELS[asl.age],
+    sexLabel: SEX_LABELS[asl.sex],
+    emoji: PORTRAITS[asl.age][asl.sex],
+    center,
+    bbox,
+    cellKm: { width, height },
+    radiusKm: Math.hypot(width, height) / 2,
+    flag: flagOf(asl.location, geobits)
+  }
+}
+
+/**
+ * Scores the proof-of-work of a key,
+ * counts the zero bits that follow the ASL field.
+ * @param {PublicKeyLike} publicKey
+ * @param {number} [geobits] geohash bit-size; default: 15
+ * @returns {number} amount of work bits
+ */
+export function workOf (publicKey, geobits = SANE_DEFAULT) {
+  publicKey = toPublicKey(publicKey)
+  checkInteger('geobits', geobits, 5, MAX_GEOBITS)
+  let k = geobits + 4
+  while (k < publicKey.length * 8 && !((publicKey[k >> 3] >> (k & 7)) & 1)) k++
+  return k - geobits - 4
 }
 
 /**
- * Unpacks bitarray back into base32 string
+ * Unpacks bitarray back into base32 string.
+ * The geohash always has ceil(nBits / 5) characters, trailing '0's are part of the location.
+ * When nBits is not a multiple of 5 only the top nBits % 5 bits of the last character
+ * are significant, it names the first geohash cell within the packed area
+ * and packGeo(geohash, nBits) restores the same bits.
  * @param {Uint8Array|Buffer|array} buf a byte array
  * @param {number} nBits number of bits to unpack
  * @returns {string} A geohash
  */
 export function unpackGeo (buf, nBits = SANE_DEFAULT) {
+  checkInteger('nBits', nBits, 1)
   const nBytes = roundByte(nBits)
-  if (buf.length < nBytes) throw new Error('BufferUnderflow, dst buffer too small')
-  const cpy = []
-  for (let i = 0; i < nBytes; i++) cpy[i] = buf[i]
+  if (buf?.length === undefined) throw new InvalidFieldError('buf', buf, 'a byte array')
+  if (buf.length < nBytes) throw new KeyLengthError(buf.length, nBytes, true)
+  return readGeo(new BitReader(buf), nBits)
+}
+
+/*
+ * Reads nBits of binary geohash as a geohash string,
+ * a partial last quintet is padded with zeros.
+ */
+function readGeo (reader, nBits) {
   let str = ''
-  let tmp = [0]
-  for (let n = 0; n < nBits; n++) {
-    if (n && !(n % 5)) {
-      const v = tmp[0] >> 3
-      str += GHM.charAt(v)
-      // console.log('>>> Decoding', GHM.charAt(v), v, binstr(v))
-      tmp = [0]
-    }
-    unshift(tmp, unshift(cpy))
+  for (let q = 0; q < nBits; q += 5) {
+    const x = Math.min(5, nBits - q)
+    str += GHM[reader.readBits(x) << (5 - x)]
   }
-  const v = tmp[0] >> 3
-  str += GHM.charAt(v)
-  // console.log('>>> Decoding', GHM.charAt(v), v, binstr(v))
-  return str.replace(/0+$/, '')
+  return str
 }
 
 /**
@@ -105,49 +917,424 @@ export function unpackGeo (buf, nBits = SANE_DEFAULT) {
 ashes
  * @param {string} str A geohash string.
  * @param {number?} [nBits] precision in bits; default 12
- * @param {Uint8Array|Buffer|Array} destination buffer
+ * @param {Uint8Array|Buffer|Array} destination buffer, the first nBits are overwritten
  * @returns {Uint8Array} buffer containing binary geohash
  */
 export function packGeo (hash, nBits = SANE_DEFAULT, buf = undefined) {
+  checkGeohash(hash)
+  if (!hash.length) throw new InvalidGeohashError(hash)
+  checkInteger('nBits', nBits, 5)
   nBits = Math.min(hash.length * 5, nBits)
-  if (nBits < 5) throw new Error('precision has to be at least 5')
   const nBytes = roundByte(nBits)
   if (!buf) buf = new Uint8Array(nBytes)
-  let w = 0
-  const tail = Math.ceil(nBits / 5) - 1
-  for (let i = tail; i > -1; i--) {
-    const v = GHU[hash[i]] // Quintet not byte
-    const bits = [v << 3]
-    let x = 5
-    if (i === tail && nBits % 5) { // Align on first run
-      x = (nBits % 5)
-      for (let y = 0; y < 5 - x; y++) shift(bits)
+  else if (buf.length < nBytes) throw new KeyLengthError(buf.length, nBytes, true)
+  const writer = new BitWriter(buf)
+  for (let i = 0; i * 5 < nBits; i++) {
+    // Partial quintet keeps its most significant bits, the cell containing hash.
+    const x = Math.min(5, nBits - i * 5)
+    writer.writeBits(GHU[hash[i]] >> (5 - x), x)
+  }
+  return buf
+}
+
+/**
+ * Bitpacks coordinates directly into the layout of packGeo()
+ * without going through a geohash string, any amount of bits is exact.
+ * @param {number} lat latitude -90..90
+ * @param {number} lon longitude -180..180
+ * @param {number} [nBits] precision in bits; default: 15
+ * @param {Uint8Array} [buf] destination, the first nBits are overwritten
+ * @returns {Uint8Array} buffer containing binary geohash
+ */
+export function packLatLon (lat, lon, nBits = SANE_DEFAULT, buf = undefined) {
+  checkLatLon(lat, lon)
+  checkInteger('nBits', nBits, 5, MAX_GEOBITS)
+  const nBytes = roundByte(nBits)
+  if (!buf) buf = new Uint8Array(nBytes)
+  else if (buf.length < nBytes) throw new KeyLengthError(buf.length, nBytes, true)
+  const bbox = { minLat: -90, minLon: -180, maxLat: 90, maxLon: 180 }
+  writeGeoBits(new BitWriter(buf), nBits, j => {
+    const [min, max, v] = j % 2 ? ['minLat', 'maxLat', lat] : ['minLon', 'maxLon', lon]
+    const mid = (bbox[min] + bbox[max]) / 2
+    const bit = v >= mid ? 1 : 0
+    bbox[bit ? min : max] = mid
+    return bit
+  })
+  return buf
+}
+
+/**
+ * Unpacks coordinates from a binary geohash
+ * @param {Uint8Array|Buffer|array} buf output of packGeo() or packLatLon()
+ * @param {number} [nBits] precision in bits; default: 15
+ * @returns {{lat: number, lon: number, bbox: BBox}} center and bounds of the cell
+ */
+export function unpackLatLon (buf, nBits = SANE_DEFAULT) {
+  const bbox = cellBounds(buf, nBits)
+  return { lat: (bbox.minLat + bbox.maxLat) / 2, lon: (bbox.minLon + bbox.maxLon) / 2, bbox }
+}
+
+/**
+ * The lat/lon rectangle of a binary geohash at any bit-precision,
+ * decoding the geohash string instead rounds to whole characters.
+ * The cell contains the geohash given to packGeo() as long as nBits
+ * does not exceed the bits the geohash holds.
+ * @param {Uint8Array|Buffer|array} buf output of packGeo() or packLatLon()
+ * @param {number} [nBits] precision in bits; default: 15
+ * @returns {BBox}
+ */
+export function cellBounds (buf, nBits = SANE_DEFAULT) {
+  checkGeoBuffer(buf, nBits, 1)
+  const bbox = { minLat: -90, minLon: -180, maxLat: 90, maxLon: 180 }
+  readGeoBits(new BitReader(buf), nBits, (bit, j) => {
+    const [min, max] = j % 2 ? ['minLat', 'maxLat'] : ['minLon', 'maxLon']
+    bbox[bit ? min : max] = (bbox[min] + bbox[max]) / 2
+  })
+  return bbox
+}
+
+/**
+ * The 8 cells surrounding a binary geohash at the same precision.
+ * Longitude wraps around the antimeridian,
+ * cells beyond the poles do not exist and are null.
+ * @param {Uint8Array|Buffer|array} buf output of packGeo() or packLatLon()
+ * @param {number} [nBits] precision in bits; default: 15
+ * @returns {Array<Uint8Array|null>} always 8, clockwise starting north: n, ne, e, se, s, sw, w, nw
+ */
+export function neighbours (buf, nBits = SANE_DEFAULT) {
+  checkGeoBuffer(buf, nBits)
+  const cell = splitCell(buf, nBits)
+  return [[0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1]].map(([dx, dy]) => {
+    const n = moveCell(cell, dx, dy)
+    return n ? joinCell(n, nBits) : null
+  })
+}
+
+/**
+ * Same as neighbours() for geohash strings
+ * @param {string} geohash
+ * @returns {Array<string|null>} n, ne, e, se, s, sw, w, nw
+ */
+export function neighboursOf (geohash) {
+  const nBits = geohash?.length * 5
+  return neighbours(packGeo(geohash, nBits), nBits).map(b => b && unpackGeo(b, nBits))
+}
+
+/**
+ * All cells within rings steps of cell including itself,
+ * a k-ring neighbourhood of up to (2 * rings + 1)^2 cells.
+ * @param {string|Uint8Array} cell geohash or output of packGeo()
+ * @param {number} [rings] default: 1
+ * @param {number} [nBits] precision of binary cell; default: 15, ignored for geohash strings
+ * @returns {Array<string|Uint8Array>} same type as cell, center first then ring by ring
+ */
+export function expand (cell, rings = 1, nBits = SANE_DEFAULT) {
+  checkInteger('rings', rings, 0)
+  if (typeof cell === 'string') {
+    const bits = cell.length * 5
+    return expand(packGeo(cell, bits), rings, bits).map(b => unpackGeo(b, bits))
+  }
+  checkGeoBuffer(cell, nBits)
+  const center = splitCell(cell, nBits)
+  const seen = new Set()
+  const out = []
+  for (let k = 0; k <= rings; k++) {
+    for (let dy = -k; dy <= k; dy++) {
+      for (let dx = -k; dx <= k; dx++) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) !== k) continue // Ring k only
+        const n = moveCell(center, dx, dy)
+        if (!n) continue
+        const id = n.x + ':' + n.y // Rings overlap at coarse precision
+        if (seen.has(id)) continue
+        seen.add(id)
+        out.push(joinCell(n, nBits))
+      }
     }
-    // console.log('<<<Encoding', hash[i], v, binstr(v), 'x', x)
-    for (let j = 0; j < x; j++) {
-      shift(buf, shift(bits)) // push-back least significant bit
-      if (++w >= nBits) break
+  }
+  return out
+}
+
+const EARTH_RADIUS_KM = 6371.0088 // Mean radius
+
+/**
+ * Something that points to a cell: a PublicKeyLike, a geohash string
+ * or a binary geohash shorter than a key.
+ * @typedef {PublicKeyLike|string|Uint8Array} CellLike
+ */
+
+/**
+ * Great-circle distance between the centers of two cells
+ * @param {CellLike} a
+ * @param {CellLike} b
+ * @param {{geobits?: number}} [opts] precision of keys and binary geohashes; default: 15
+ *  geohash strings use their full length.
+ * @returns {number} kilometers
+ */
+export function distanceKm (a, b, opts = {}) {
+  const { geobits = SANE_DEFAULT } = opts
+  const [ca, cb] = [toCell(a, geobits), toCell(b, geobits)]
+  return haversine(centerOf(ca), centerOf(cb))
+}
+
+/**
+ * Closest and farthest distance between any two points of the cells,
+ * the true distance between two people is within this range.
+ * @param {CellLike} a
+ * @param {CellLike} b
+ * @param {{geobits?: number}} [opts] same as distanceKm()
+ * @returns {{min: number, max: number}} kilometers
+ */
+export function distanceRange (a, b, opts = {}) {
+  const { geobits = SANE_DEFAULT } = opts
+  const [ca, cb] = [toCell(a, geobits), toCell(b, geobits)]
+  const lonTouch = (ca.minLon <= cb.maxLon && cb.minLon <= ca.maxLon) ||
+    (ca.maxLon === 180 && cb.minLon === -180) || (cb.maxLon === 180 && ca.minLon === -180) // Antimeridian
+  const pole = (ca.maxLat === 90 && cb.maxLat === 90) || (ca.minLat === -90 && cb.minLat === -90)
+  const overlap = pole || (lonTouch && ca.minLat <= cb.maxLat && cb.minLat <= ca.maxLat)
+  let min = Infinity
+  let max = 0
+  // Extremes lie on the boundaries and at least one end in a corner.
+  for (const [from, to] of [[ca, cb], [cb, ca]]) {
+    for (const lat of [from.minLat, from.maxLat]) {
+      for (const lon of [from.minLon, from.maxLon]) {
+        const r = pointRange({ lat, lon }, to)
+        min = Math.min(min, r.min)
+        max = Math.max(max, r.max)
+      }
     }
   }
-  // console.log('Packed:', hash.slice(0, tail + 1), binstr(buf))
+  return { min: overlap ? 0 : min, max }
+}
+
+/*
+ * Resolves a CellLike to its bounds
+ * @returns {BBox}
+ */
+function toCell (x, geobits) {
+  if (typeof x === 'string' && !/^(n(pub|profile)1|(0[23])?[0-9a-fA-F]{64}$)/.test(x)) {
+    return cellBounds(packGeo(x, x.length * 5), x.length * 5)
+  }
+  if (x instanceof Uint8Array && x.length < 32) return cellBounds(x, geobits)
+  return cellBounds(splitKey(x, geobits).geo, geobits)
+}
+
+const centerOf = bbox => ({ lat: (bbox.minLat + bbox.maxLat) / 2, lon: (bbox.minLon + bbox.maxLon) / 2 })
+const rad = deg => deg * Math.PI / 180
+
+/*
+ * @returns {number} kilometers
+ */
+function haversine (a, b) {
+  const h = Math.sin(rad(b.lat - a.lat) / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(rad(b.lon - a.lon) / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+/*
+ * Closest and farthest distance from a point to a cell.
+ * Along an edge the distance has at most one turning point,
+ * testing corners and turning points gives the exact range.
+ */
+function pointRange (p, bbox) {
+  const inside = (lat, lon) => lat >= bbox.minLat && lat <= bbox.maxLat && lon >= bbox.minLon && lon <= bbox.maxLon
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v))
+  const candidates = []
+  for (const lon of [bbox.minLon, bbox.maxLon]) { // Meridian edges
+    const turn = Math.atan2(Math.sin(rad(p.lat)), Math.cos(rad(p.lat)) * Math.cos(rad(lon - p.lon)))
+    const lat = Math.atan(Math.tan(turn)) * 180 / Math.PI // Fold into -90..90
+    candidates.push({ lat: bbox.minLat, lon }, { lat: bbox.maxLat, lon }, { lat: clamp(lat, bbox.minLat, bbox.maxLat), lon })
+  }
+  for (const lat of [bbox.minLat, bbox.maxLat]) { // Parallel edges
+    for (const lon of [p.lon, p.lon > 0 ? p.lon - 180 : p.lon + 180]) {
+      if (inside(lat, lon)) candidates.push({ lat, lon })
+    }
+  }
+  const distances = candidates.map(c => haversine(p, c))
+  const antipode = { lat: -p.lat, lon: p.lon > 0 ? p.lon - 180 : p.lon + 180 }
+  return {
+    min: inside(p.lat, p.lon) ? 0 : Math.min(...distances),
+    max: inside(antipode.lat, antipode.lon) ? Math.PI * EARTH_RADIUS_KM : Math.max(...distances)
+  }
+}
+
+/*
+ * Splits binary geohash into column and row, counted from south-west.
+ * @returns {{x: bigint, y: bigint, columns: bigint, rows: bigint}}
+ */
+function splitCell (buf, nBits) {
+  let x = 0n
+  let y = 0n
+  readGeoBits(new BitReader(buf), nBits, (bit, j) => {
+    if (j % 2) y = y << 1n | BigInt(bit)
+    else x = x << 1n | BigInt(bit)
+  })
+  return { x, y, columns: 1n << BigInt(Math.ceil(nBits / 2)), rows: 1n << BigInt(nBits >> 1) }
+}
+
+function joinCell ({ x, y }, nBits) {
+  const buf = new Uint8Array(roundByte(nBits))
+  const lonBits = Math.ceil(nBits / 2)
+  const latBits = nBits >> 1
+  writeGeoBits(new BitWriter(buf), nBits, j => Number(j % 2
+    ? (y >> BigInt(latBits - 1 - (j >> 1))) & 1n
+    : (x >> BigInt(lonBits - 1 - (j >> 1))) & 1n))
   return buf
 }
 
+/*
+ * @returns {object|undefined} moved cell or undefined when beyond a pole
+ */
+function moveCell (cell, dx, dy) {
+  const y = cell.y + BigInt(dy)
+  if (y < 0n || y >= cell.rows) return
+  const x = mod(cell.x + BigInt(dx), cell.columns) // Wrap around antimeridian
+  return { ...cell, x, y }
+}
+
+function checkGeoBuffer (buf, nBits, min = 5) {
+  checkInteger('nBits', nBits, min, MAX_GEOBITS)
+  if (buf?.length === undefined) throw new InvalidFieldError('buf', buf, 'a byte array')
+  if (buf.length < roundByte(nBits)) throw new KeyLengthError(buf.length, roundByte(nBits), true)
+}
+
+/*
+ * Visits binary geohash bits in geohash order, most significant first.
+ * Quintets are stored least significant bit first,
+ * a partial last quintet holds its top bits.
+ * @param {(bit: number, j: number) => void} fn
+ */
+function readGeoBits (reader, nBits, fn) {
+  for (let q = 0; q < nBits; q += 5) {
+    const x = Math.min(5, nBits - q)
+    const v = reader.readBits(x)
+    for (let k = 0; k < x; k++) fn((v >> (x - 1 - k)) & 1, q + k)
+  }
+}
+
+/*
+ * Opposite of readGeoBits(), bits are requested in geohash order.
+ * @param {(j: number) => number} bitAt
+ */
+function writeGeoBits (writer, nBits, bitAt) {
+  for (let q = 0; q < nBits; q += 5) {
+    const x = Math.min(5, nBits - q)
+    let v = 0
+    for (let k = 0; k < x; k++) v = v << 1 | bitAt(q + k)
+    writer.writeBits(v, x)
+  }
+}
+
+function checkLatLon (lat, lon) {
+  if (typeof lat !== 'number' || !(lat >= -90 && lat <= 90)) throw new InvalidFieldError('lat', lat, 'a number -90..90')
+  if (typeof lon !== 'number' || !(lon >= -180 && lon <= 180)) throw new InvalidFieldError('lon', lon, 'a number -180..180')
+}
+
 /*
  * Rounds upwards to nearest byte
  * @param {number} number of bits
  * @returns {number} Amount of bytes
  */
-export function roundByte (b) { return (b >> 3) + (b % 8 ? 1 : 0) }
+export function roundByte (b) {
+  checkInteger('bits', b, 0)
+  return (b >> 3) + (b % 8 ? 1 : 0)
+}
+
+/**
+ * Reads values from a buffer in the same order shift() pushes them in:
+ * lowest bit of the first byte first, values least significant bit first.
+ */
+export class BitReader {
+  /**
+   * @param {Uint8Array|Buffer|Array} buf
+   * @param {number} [offset] bit to start reading from
+   */
+  constructor (buf, offset = 0) {
+    checkBytes('buf', buf)
+    checkInteger('offset', offset, 0)
+    this.buffer = buf
+    /** @type {number} position of the next bit */
+    this.offset = offset
+  }
+
+  /**
+   * Reads n bits
+   * @param {number} n 0-32
+   * @returns {number} unsigned value
+   */
+  readBits (n) {
+    checkInteger('n', n, 0, 32)
+    const end = this.offset + n
+    if (end > this.buffer.length * 8) throw new KeyLengthError(this.buffer.length, roundByte(end), true)
+    let value = 0
+    for (let p = this.offset, shift = 0; p < end;) {
+      const take = Math.min(8 - (p & 7), end - p)
+      value += ((this.buffer[p >> 3] >> (p & 7)) & ((1 << take) - 1)) * 2 ** shift
+      shift += take
+      p += take
+    }
+    this.offset = end
+    return value
+  }
+}
+
+/**
+ * Opposite of BitReader, overwrites bits of a buffer
+ * a byte at a time instead of shifting the whole buffer.
+ */
+export class BitWriter {
+  /**
+   * @param {Uint8Array|Buffer|Array} buf destination
+   * @param {number} [offset] bit to start writing at
+   */
+  constructor (buf, offset = 0) {
+    checkBytes('buf', buf)
+    checkInteger('offset', offset, 0)
+    this.buffer = buf
+    /** @type {number} position of the next bit */
+    this.offset = offset
+  }
+
+  /**
+   * Writes the n lowest bits of value
+   * @param {number} value unsigned integer below 2^n
+   * @param {number} n 0-32
+   * @returns {BitWriter} this
+   */
+  writeBits (value, n) {
+    checkInteger('n', n, 0, 32)
+    checkInteger('value', value, 0, 2 ** n - 1)
+    const end = this.offset + n
+    if (end > this.buffer.length * 8) throw new KeyLengthError(this.buffer.length, roundByte(end), true)
+    for (let p = this.offset, shift = 0; p < end;) {
+      const take = Math.min(8 - (p & 7), end - p)
+      const mask = ((1 << take) - 1) << (p & 7)
+      const chunk = ((value >>> shift) << (p & 7)) & mask
+      this.buffer[p >> 3] = (this.buffer[p >> 3] & ~mask) | chunk
+      shift += take
+      p += take
+    }
+    this.offset = end
+    return this
+  }
+}
+
+/*
+ * Moves n bits from reader to writer
+ */
+function copyBits (reader, writer, n) {
+  for (; n > 0; n -= 32) writer.writeBits(reader.readBits(Math.min(n, 32)), Math.min(n, 32))
+}
 
 /**
  * Treats buffer as a series of latched 8bit shift-registers
  * shifts all bits 1 step from low to high.
- * @param {bit} x The value to shift in
- * @param {Uint8Array|Buffer|array} inp The input buffer
+ * @param {Uint8Array|Buffer|array} x The buffer to shift
+ * @param {bit} inp The value to shift in
  * @return {number} the previous last bit
  */
 export function shift (x, inp = 0) {
+  checkBytes('x', x)
+  checkBit('inp', inp)
   let c = inp ? 1 : 0
   for (let i = 0; i < x.length; i++) {
     const nc = (x[i] >> 7) & 1
@@ -159,11 +1346,13 @@ export function shift (x, inp = 0) {
 
 /**
  * Opposite of shift, shifts all bits 1 step towards low.
- * @param {bit} x The value to shift out
- * @param {Uint8Array|Buffer|array} inp The input buffer
+ * @param {Uint8Array|Buffer|array} x The buffer to shift
+ * @param {bit} inp The value to shift in at the top
  * @return {number} the previous first bit
  */
 export function unshift (x, inp = 0) {
+  checkBytes('x', x)
+  checkBit('inp', inp)
   let i = x.length
   let c = (inp ? 1 : 0) << 7
   while (i--) {
@@ -175,7 +1364,10 @@ export function unshift (x, inp = 0) {
 }
 
 export function binstr (x, cap, bs = 5) {
-  if (typeof x === 'number') x = [x]
+  if (typeof x === 'number') x = [checkInteger('x', x, 0, 255)]
+  checkBytes('x', x)
+  if (cap !== undefined) checkInteger('cap', cap, 0)
+  checkInteger('bs', bs, 1)
   cap = cap || x.length * 8
   let str = ''
   for (let i = 0; i < x.length; i++) {
@@ -189,20 +1381,202 @@ export function binstr (x, cap, bs = 5) {
 }
 
 /**
- * Calculates XOR-Distance between two buffers
+ * Encodes a public key as NIP-19 npub
+ * @param {PublicKeyLike} publicKey
+ * @returns {string} npub1...
+ */
+export function toNpub (publicKey) {
+  return bech32Encode('npub', toPublicKey(publicKey))
+}
+
+/**
+ * Encodes a secret key as NIP-19 nsec
+ * @param {Uint8Array|hexstring} secret
+ * @returns {string} nsec1...
+ */
+export function toNsec (secret) {
+  return bech32Encode('nsec', toKey(secret, 32, 'secret'))
+}
+
+/**
+ * Decodes NIP-19 npub, nsec, note and nprofile strings
+ * @param {string} str bech32 encoded entity
+ * @returns {{type: 'npub'|'nsec'|'note', data: hexstring}|{type: 'nprofile', data: {pubkey: hexstring, relays: string[]}}}
+ */
+export function fromBech32 (str) {
+  const decoded = typeof str === 'string' ? bech32Decode(str) : undefined
+  if (!decoded) throw new InvalidFieldError('bech32', str, 'a valid bech32 string')
+  const { hrp: type, bytes } = decoded
+  if (type === 'nprofile') {
+    const tlv = parseTLV(bytes)
+    if (!tlv[0]) throw new InvalidFieldError('nprofile', str, 'a pubkey entry')
+    const pubkey = bytesToHex(toKey(tlv[0][0], 32))
+    const relays = (tlv[1] || []).map(r => new TextDecoder().decode(r))
+    return { type, data: { pubkey, relays } }
+  }
+  if (!['npub', 'nsec', 'note'].includes(type)) throw new InvalidFieldError('bech32', type, 'npub, nsec, note or nprofile')
+  return { type, data: bytesToHex(toKey(bytes, 32)) }
+}
+
+// Bech32 as specified in BIP-0173
+const B32 = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+const B32GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+
+function bech32Polymod (values) {
+  let chk = 1
+  for (const v of values) {
+    const b = chk >> 25
+    chk = (chk & 0x1ffffff) << 5 ^ v
+    for (let i = 0; i < 5; i++) if ((b >> i) & 1) chk ^= B32GEN[i]
+  }
+  return chk
+}
+
+function bech32HrpExpand (hrp) {
+  const codes = Array.from(hrp, c => c.charCodeAt(0))
+  return [...codes.map(c => c >> 5), 0, ...codes.map(c => c & 31)]
+}
+
+/*
+ * Regroups bits, 8 -> 5 for encoding, 5 -> 8 for decoding.
+ */
+function convertBits (data, from, to, pad) {
+  let acc = 0
+  let bits = 0
+  const out = []
+  const max = (1 << to) - 1
+  for (const v of data) {
+    acc = (acc << from) | v
+    bits += from
+    while (bits >= to) {
+      bits -= to
+      out.push((acc >> bits) & max)
+    }
+  }
+  if (pad && bits) out.push((acc << (to - bits)) & max)
+  return out
+}
+
+/*
+ * @returns {{hrp: string, bytes: Uint8Array}|undefined} undefined when malformed
+ */
+function bech32Decode (str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) return // Mixed case
+  str = str.toLowerCase()
+  const sep = str.lastIndexOf('1')
+  if (sep < 1 || str.length - sep < 7) return
+  const hrp = str.slice(0, sep)
+  const words = []
+  for (const c of str.slice(sep + 1)) {
+    const w = B32.indexOf(c)
+    if (w === -1) return
+    words.push(w)
+  }
+  if (bech32Polymod([...bech32HrpExpand(hrp), ...words]) !== 1) return
+  return { hrp, bytes: Uint8Array.from(convertBits(words.slice(0, -6), 5, 8, false)) }
+}
+
+/*
+ * Parses NIP-19 type-length-value entries
+ * @returns {Object<number, Uint8Array[]>} values by type
+ */
+function parseTLV (bytes) {
+  const out = {}
+  for (let i = 0; i + 1 < bytes.length; i += 2 + bytes[i + 1]) {
+    const type = bytes[i]
+    if (!out[type]) out[type] = []
+    out[type].push(bytes.subarray(i + 2, i + 2 + bytes[i + 1]))
+  }
+  return out
+}
+
+function bech32Encode (hrp, bytes) {
+  const words = convertBits(bytes, 8, 5, true)
+  const pm = bech32Polymod([...bech32HrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ 1
+  const checksum = [0, 1, 2, 3, 4, 5].map(i => (pm >> 5 * (5 - i)) & 31)
+  return hrp + '1' + [...words, ...checksum].map(w => B32[w]).join('')
+}
+
+// Bits of each byte in reverse order, wire order is least significant bit first.
+const REVERSED = Array.from({ length: 256 }, (_, x) => {
+  let r = 0
+  for (let i = 0; i < 8; i++) r |= ((x >> i) & 1) << (7 - i)
+  return r
+})
+
+/**
+ * Calculates XOR-Distance between two buffers of any length.
+ * Bits are compared in wire order, bit 0 of the first byte is the most
+ * significant bit of the distance. The shorter buffer is padded with zeros.
+ * Precision is lost beyond 53 bits, see xorDistanceBig() and compareDistance()
  * @param {Uint8Array|Buffer|Array} a Buffer A
  * @param {Uint8Array|Buffer|Array} b Buffer B
  * @returns {number} Distance
  */
 export function xorDistance (a, b) {
-  // TODO: can be done without unshift(a) ^ unshift(b) and DataView
-  // TODO: this function is full of glitches, needs regression testing.
-  const out = new Uint8Array(4)
-  const ac = Array.from(new Array(4)).map((_, i) => a[i] || 0)
-  const bc = Array.from(new Array(4)).map((_, i) => b[i] || 0)
-  for (let i = 0; i < 4 * 8; i++) shift(out, unshift(ac) ^ unshift(bc))
-  const dv = new DataView(out.buffer)
-  return dv.getUint32(0, true)
+  return Number(xorDistanceBig(a, b))
+}
+
+/**
+ * Exact version of xorDistance()
+ * @param {Uint8Array|Buffer|Array} a Buffer A
+ * @param {Uint8Array|Buffer|Array} b Buffer B
+ * @returns {bigint} Distance
+ */
+export function xorDistanceBig (a, b) {
+  checkBytes('a', a)
+  checkBytes('b', b)
+  let d = 0n
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    d = d << 8n | BigInt(REVERSED[(a[i] ^ b[i]) & 0xff])
+  }
+  return d
+}
+
+/**
+ * Counts the leading bits that two buffers have in common, in wire order.
+ * @param {Uint8Array|Buffer|Array} a Buffer A
+ * @param {Uint8Array|Buffer|Array} b Buffer B
+ * @returns {number} 0 to 8 * length of the shorter buffer
+ */
+export function commonPrefixBits (a, b) {
+  checkBytes('a', a)
+  checkBytes('b', b)
+  const n = Math.min(a.length, b.length)
+  for (let i = 0; i < n; i++) {
+    const x = (a[i] ^ b[i]) & 0xff
+    if (x) return i * 8 + 31 - Math.clz32(x & -x) // Lowest differing bit
+  }
+  return n * 8
+}
+
+/**
+ * Compares which of two buffers is closer to target by XOR-Distance,
+ * exact for any length and usable with Array.prototype.sort()
+ * @param {Uint8Array|Buffer|Array} target
+ * @param {Uint8Array|Buffer|Array} a
+ * @param {Uint8Array|Buffer|Array} b
+ * @returns {-1|0|1} -1 when a is closer, 1 when b is closer, 0 when equally distant
+ */
+export function compareDistance (target, a, b) {
+  checkBytes('target', target)
+  checkBytes('a', a)
+  checkBytes('b', b)
+  const n = Math.max(target.length, a.length, b.length)
+  for (let i = 0; i < n; i++) {
+    const da = REVERSED[(target[i] ^ a[i]) & 0xff]
+    const db = REVERSED[(target[i] ^ b[i]) & 0xff]
+    if (da !== db) return da < db ? -1 : 1
+  }
+  return 0
+}
+
+function checkBytes (field, buf) {
+  if (buf?.length === undefined) throw new InvalidFieldError(field, buf, 'a byte array')
+}
+
+function checkBit (field, value) {
+  if (value !== 0 && value !== 1 && typeof value !== 'boolean') throw new InvalidFieldError(field, value, '0 or 1')
 }
 
 /**
@@ -215,10 +1589,11 @@ export function xorDistance (a, b) {
 export function flagOf (geohash, bits = SANE_DEFAULT) {
   const flags = initLUT()
   const src = packGeo(geohash, bits)
-  const sorted = flags
-    .map(f => [f[0], xorDistance(src, f[1])])
-    .sort((a, b) => a[1] - b[1])
-  return sorted[0][0]
+  let nearest = flags[0]
+  for (const f of flags) {
+    if (compareDistance(src, f[1], nearest[1]) < 0) nearest = f
+  }
+  return nearest[0]
 }
 
 let FLUT = null
@@ -0,0 +1,149 @@
+/*! powmem - MIT License (c) 2023 Tony Ivanov */
+import { LANE_SIZE, InvalidFieldError } from './index.js'
+/** @typedef {import('./index.js').RollResult} RollResult */
+/** @typedef {import('./index.js').RollProgress} RollProgress */
+
+/**
+ * @typedef {object} Miner
+ * @property {(params: object, opts?: {signal?: AbortSignal, onProgress?: (p: RollProgress & {workers: number, counters?: number[]}) => void, counters?: number[]}) => Promise<RollResult>} roll
+ *   Same as rollAsync() but spread over all workers.
+ *   When rolling from a seed each worker searches its own lane of the counter space,
+ *   counters sets where each worker starts and is reported in progress.
+ * @property {() => Promise<void>} terminate Stops and releases all workers.
+ */
+
+/**
+ * Creates a pool of workers that search for keys in parallel.
+ * Uses Web Workers in browsers and worker_threads in node.
+ * @param {object} [opts]
+ * @param {number} [opts.workers] amount of workers; default: number of cores
+ * @param {string|URL} [opts.url] location of worker.js, set this when bundling.
+ * @param {number} [opts.sliceMs] how often workers report progress; default: 200
+ * @returns {Miner}
+ */
+export function createMiner (opts = {}) {
+  const {
+    url = new URL('./worker.js', import.meta.url),
+    sliceMs = 200
+  } = opts
+  if (opts.workers !== undefined && !(Number.isInteger(opts.workers) && opts.workers > 0)) {
+    throw new InvalidFieldError('workers', opts.workers, 'a positive integer')
+  }
+  let pool = null
+  let busy = false
+  let runs = 0
+
+  async function spawn () {
+    const n = opts.workers || await concurrency()
+    pool = (pool || []).filter(w => !w.dead) // Crashed workers never answer
+    while (pool.length < n) pool.push(await spawnWorker(url))
+    return pool
+  }
+
+  async function roll (params, { signal, onProgress, counters = [] } = {}) {
+    if (busy) throw new Error('Miner is busy')
+    signal?.throwIfAborted()
+    busy = true
+    const id = ++runs
+    const workers = await spawn()
+    const { maxTries = Infinity } = params
+    // Remainder is handed out one by one so shares sum up to maxTries.
+    const shares = workers.map((_, i) => Math.floor(maxTries / workers.length) + (i < maxTries % workers.length ? 1 : 0))
+    const start = performance.now()
+    const seeded = params.seed !== undefined
+    const positions = workers.map((_, i) => counters[i] ?? i * LANE_SIZE)
+    const attempts = workers.map(() => 0)
+    const total = () => attempts.reduce((sum, n) => sum + n, 0)
+    try {
+      return await new Promise((resolve, reject) => {
+        let pending = workers.length
+        const stop = () => { for (const w of workers) w.post({ type: 'stop' }) }
+        const onAbort = () => { stop(); reject(signal.reason) }
+        signal?.addEventListener('abort', onAbort, { once: true })
+        const done = fn => {
+          signal?.removeEventListener('abort', onAbort)
+          for (const w of workers) w.onmessage = null
+          fn()
+        }
+        workers.forEach((w, i) => {
+          w.onmessage = msg => {
+            if ('id' in msg && msg.id !== id) return // Late message from previous run
+            if (msg.type === 'progress') {
+              attempts[i] = msg.attempts
+              const elapsedMs = performance.now() - start
+              const progress = { attempts: total(), elapsedMs, hashrate: total() / elapsedMs * 1000, workers: workers.length }
+              if (seeded) {
+                positions[i] = msg.counter
+                progress.counters = [...positions]
+              }
+              if (onProgress) onProgress(progress)
+            } else if (msg.type === 'error') {
+              stop()
+              done(() => reject(Object.assign(new Error(msg.message), { name: msg.name || 'Error' })))
+            } else if (msg.type === 'result') {
+              attempts[i] = msg.attempts
+              if (msg.secret) {
+                const { type, id, ...result } = msg
+                stop()
+                done(() => resolve({ ...result, attempts: total(), elapsedMs: performance.now() - start }))
+              } else if (!--pending) {
+                done(() => resolve({ secret: null, publicKey: null, attempts: total(), elapsedMs: performance.now() - start }))
+              }
+            }
+          }
+          const share = { ...params, maxTries: shares[i] }
+          const lane = seeded ? { ...share, counter: positions[i] } : share
+          w.post({ type: 'roll', id, params: lane, sliceMs })
+        })
+      })
+    } finally {
+      busy = false
+    }
+  }
+
+  async function terminate () {
+    if (!pool) return
+    const workers = pool
+    pool = null
+    await Promise.all(workers.map(w => w.terminate()))
+  }
+
+  return { roll, terminate }
+}
+
+/*
+ * Wraps node and web workers behind a common interface
+ * @returns {Promise<{post: (msg: object) => void, onmessage: (msg: object) => void, terminate: () => Promise<void>, dead: boolean}>}
+ */
+async function spawnWorker (url) {
+  const handle = { onmessage: null, dead: false }
+  const dispatch = data => handle.onmessage && handle.onmessage(data)
+  const die = message => {
+    handle.dead = true
+    dispatch({ type: 'error', message })
+  }
+  if (typeof globalThis.Worker === 'function') {
+    const w = new globalThis.Worker(url, { type: 'module' })
+    w.addEventListener('message', ev => dispatch(ev.data))
+    w.addEventListener('error', ev => {
+      w.terminate()
+      die(ev.message)
+    })
+    handle.post = msg => w.postMessage(msg)
+    handle.terminate = async () => w.terminate()
+  } else {
+    const { Worker } = await import('node:worker_threads')
+    const w = new Worker(url)
+    w.on('message', dispatch)
+    w.on('error', err => die(err.message))
+    handle.post = msg => w.postMessage(msg)
+    handle.terminate = async () => { await w.terminate() }
+  }
+  return handle
+}
+
+async function concurrency () {
+  if (globalThis.navigator?.hardwareConcurrency) return globalThis.navigator.hardwareConcurrency
+  const os = await import('node:os')
+  return os.availableParallelism ? os.availableParallelism() : os.cpus().length
+}
@@ -1,14 +1,58 @@
 import { test } from 'tapzero'
 import {
   decodeASL,
+  decodeMany,
   packGeo,
   roll,
+  rollMany,
+  rollAsync,
   unpackGeo,
   flagOf,
-  getPublicKey
+  getPublicKey,
+  deriveSecret,
+  createMiningJob,
+  mineTweak,
+  combineTweak,
+  estimate,
+  calibrate,
+  workOf,
+  MiningSession,
+  LANE_SIZE,
+  xorDistance,
+  xorDistanceBig,
+  commonPrefixBits,
+  compareDistance,
+  describeASL,
+  packLatLon,
+  unpackLatLon,
+  cellBounds,
+  neighbours,
+  neighboursOf,
+  expand,
+  distanceKm,
+  distanceRange,
+  unshift,
+  shift,
+  roundByte,
+  binstr,
+  BitReader,
+  BitWriter,
+  toNpub,
+  toNsec,
+  fromBech32,
+  InvalidGeohashError,
+  InvalidFieldError,
+  KeyLengthError
 } from './index.js'
+import { createMiner } from './miner.js'
+import { createCoordinator, serveNode } from './cluster.js'
+import { PassThrough } from 'node:stream'
+import { spawn } from 'node:child_process'
 import Geohash from 'latlon-geohash'
-import { readFileSync, writeFileSync } from 'node:fs'
+import { nip19 } from 'nostr-tools'
+import { readFileSync, writeFileSync, unlinkSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
 
 test('Decode ASL', async t => {
   const secret = '9ec11fa81c53e7115b014a373a4b66172e4f476091a57b20be1103e935738f9c'
@@ -21,24 +65,782 @@ test('Decode ASL', async t => {
   t.equal(location, 'cdw')
 })
 
-test.skip('Encode ASL', async t => {
-  const secret = roll(2, 1, 'u6282sv')
-  t.ok(secret)
+test('Describe ASL', async t => {
+  const pkHex = 'b618af96fde8ba61d43dde06583e7a897256c10c1d11c4b32dc15b76726593e6'
+  const d = describeASL(pkHex)
+  t.equal(d.age, 2)
+  t.equal(d.sex, 1)
+  t.equal(d.location, 'cdw')
+  t.equal(d.ageLabel, '32+')
+  t.equal(d.sexLabel, 'male')
+  t.equal(d.emoji, '👴')
+  const { sw, ne } = Geohash.bounds('cdw')
+  t.deepEqual(d.bbox, { minLat: sw.lat, minLon: sw.lon, maxLat: ne.lat, maxLon: ne.lon })
+  t.equal(d.center.lat, (sw.lat + ne.lat) / 2)
+  t.equal(d.center.lon, (sw.lon + ne.lon) / 2)
+  t.equal(Math.round(d.cellKm.height), 157, '180° / 2^7')
+  t.ok(d.cellKm.width < d.cellKm.height, 'narrower away from equator')
+  t.equal(d.radiusKm, Math.hypot(d.cellKm.width, d.cellKm.height) / 2)
+  t.equal(d.flag, flagOf('cdw'))
+  t.deepEqual(describeASL(toNpub(pkHex)), d, 'accepts npub')
+  const fine = describeASL(pkHex, { geobits: 25 })
+  t.ok(fine.radiusKm < d.radiusKm / 16, 'smaller cell with more bits')
+})
+
+test('Decode ASL from npub, nprofile, compressed keys and events', async t => {
+  const pkHex = 'b618af96fde8ba61d43dde06583e7a897256c10c1d11c4b32dc15b76726593e6'
+  const expected = decodeASL(pkHex)
+  t.deepEqual(decodeASL(pkHex.toUpperCase()), expected, 'uppercase hex')
+  t.deepEqual(decodeASL(nip19.npubEncode(pkHex)), expected, 'npub')
+  t.deepEqual(decodeASL(nip19.nprofileEncode({ pubkey: pkHex, relays: ['wss://relay.example'] })), expected, 'nprofile')
+  t.deepEqual(decodeASL('02' + pkHex), expected, '33-byte hex')
+  t.deepEqual(decodeASL(Uint8Array.from(Buffer.from('03' + pkHex, 'hex'))), expected, '33-byte Uint8Array')
+  t.deepEqual(decodeASL({ kind: 1, pubkey: pkHex, content: 'hi', tags: [] }), expected, 'nostr event')
+  // NIP-19 vectors
+  const vector = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d'
+  t.deepEqual(decodeASL('npub180cvv07tjdrrgpa0j7j7tmnyl2yr6yr7l8j4s3evf6u64th6gkwsyjh6w6'), decodeASL(vector))
+  t.deepEqual(decodeASL('nprofile1qqsrhuxx8l9ex335q7he0f09aej04zpazpl0ne2cgukyawd24mayt8gpp4mhxue69uhhytnc9e3k7mgpz4mhxue69uhkg6nzv9ejuumpv34kytnrdaksjlyr9p'), decodeASL(vector))
+  t.equal(workOf(nip19.npubEncode(pkHex)), workOf(pkHex), 'workOf() accepts the same')
+  const npub = nip19.npubEncode(pkHex)
+  const broken = npub.slice(0, -1) + (npub.endsWith('q') ? 'p' : 'q')
+  for (const [input, ErrorClass, msg] of [
+    [broken, InvalidFieldError, 'bad checksum'],
+    [npub.slice(0, 10) + npub.slice(10).toUpperCase(), InvalidFieldError, 'mixed case'],
+    ['04' + pkHex, InvalidFieldError, 'bad parity prefix'],
+    [{ content: 'no pubkey' }, InvalidFieldError, 'event without pubkey'],
+    [nip19.npubEncode(pkHex.slice(0, 60)), KeyLengthError, 'short npub']
+  ]) {
+    let error = null
+    try { decodeASL(input) } catch (err) { error = err }
+    t.ok(error instanceof ErrorClass, `rejects ${msg}`)
+  }
+})
+
+test('Encode ASL', async t => {
+  // Seed picked to find a match early, unseeded rolls need ~500k attempts.
+  const { secret, counter } = roll(2, 1, 'u6282sv', 15, { seed: 'powmem-21' })
+  t.equal(counter, 10831)
+  t.equal(secret, '9f9ce654a249aa3f085156a6451cca1a520e26f5e4fd738faad55b657976e1a0')
   const { age, sex, location } = decodeASL(getPublicKey(secret))
   t.equal(age, 2)
   t.equal(sex, 1)
   t.equal(location, 'u62')
 })
 
+test('Bech32 npub/nsec', async t => {
+  // NIP-19 vectors
+  const pk = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d'
+  const npub = 'npub180cvv07tjdrrgpa0j7j7tmnyl2yr6yr7l8j4s3evf6u64th6gkwsyjh6w6'
+  const sk = '67dea2ed018072d675f5415ecfaed7d2597555e202d85b3d65ea4e58d2d92ffa'
+  const nsec = 'nsec1vl029mgpspedva04g90vltkh6fvh240zqtv9k0t9af8935ke9laqsnlfe5'
+  const nprofile = 'nprofile1qqsrhuxx8l9ex335q7he0f09aej04zpazpl0ne2cgukyawd24mayt8gpp4mhxue69uhhytnc9e3k7mgpz4mhxue69uhkg6nzv9ejuumpv34kytnrdaksjlyr9p'
+  t.equal(toNpub(pk), npub)
+  t.equal(toNsec(sk), nsec)
+  t.deepEqual(fromBech32(npub), { type: 'npub', data: pk })
+  t.deepEqual(fromBech32(nsec), { type: 'nsec', data: sk })
+  t.deepEqual(fromBech32(nprofile), {
+    type: 'nprofile',
+    data: { pubkey: pk, relays: ['wss://r.x.com', 'wss://djbas.sadkb.com'] }
+  })
+  t.deepEqual(fromBech32(npub.toUpperCase()), { type: 'npub', data: pk }, 'uppercase')
+
+  const { secret, publicKey } = roll(1, 2, 'u6', 10, { seed: 'bech32' })
+  t.equal(toNsec(secret), nip19.nsecEncode(secret), 'same as nostr-tools')
+  t.equal(toNpub(publicKey), nip19.npubEncode(publicKey))
+  t.equal(toNpub(getPublicKey(secret)), toNpub(publicKey), 'accepts bytes')
+  t.equal(fromBech32(toNsec(secret)).data, secret, 'roundtrip')
+  t.equal(fromBech32(nip19.noteEncode(pk)).type, 'note')
+
+  for (const [input, msg] of [
+    [npub.slice(0, -1) + 'q', 'bad checksum'],
+    ['npub1qqqqqq', 'too short'],
+    [nip19.neventEncode({ id: pk }), 'unsupported prefix'],
+    [42, 'not a string']
+  ]) {
+    let error = null
+    try { fromBech32(input) } catch (err) { error = err }
+    t.ok(error instanceof InvalidFieldError, `rejects ${msg}`)
+  }
+  let error = null
+  try { toNsec('abcd') } catch (err) { error = err }
+  t.ok(error instanceof KeyLengthError, 'rejects short secret')
+})
+
+test('Seeded rolls are reproducible', async t => {
+  const seed = 'correct horse battery staple'
+  const a = roll(1, 0, 'u6282sv', 8, { seed })
+  const b = await rollAsync({ age: 1, sex: 0, location: 'u6282sv', geobits: 8, seed })
+  t.equal(a.secret, b.secret)
+  t.equal(a.counter, b.counter)
+  t.equal(a.attempts, a.counter + 1)
+  t.equal(deriveSecret(seed, a.counter), a.secret, 'secret re-derived from seed')
+  const bytes = roll(1, 0, 'u6282sv', 8, { seed: new TextEncoder().encode(seed) })
+  t.equal(bytes.secret, a.secret, 'binary seed')
+  t.notEqual(roll(1, 0, 'u6282sv', 8, { seed: 'other' }).secret, a.secret)
+})
+
+test('Outsourced mining with blinded key', async t => {
+  const secret = '9ec11fa81c53e7115b014a373a4b66172e4f476091a57b20be1103e935738f9c'
+  const job = createMiningJob(secret, { age: 3, sex: 0, location: 'u6282sv', geobits: 10 })
+  t.equal(job.point.length, 66, 'compressed public point')
+  t.ok(!JSON.stringify(job).includes(secret), 'job does not leak secret')
+
+  const { tweak, publicKey } = await mineTweak(JSON.parse(JSON.stringify(job)))
+  t.ok(tweak)
+  const combined = combineTweak(secret, tweak)
+  t.equal(Buffer.from(getPublicKey(combined)).hexSlice(), publicKey)
+  const { age, sex, location } = decodeASL(getPublicKey(combined), 10)
+  t.equal(age, 3)
+  t.equal(sex, 0)
+  t.equal(location, 'u6')
+
+  const none = await mineTweak(job, { maxTries: 10 })
+  t.equal(none.tweak, null)
+})
+
+test('Resumable mining session', async t => {
+  const params = { age: 2, sex: 1, location: 'u6282sv', geobits: 10, seed: 'session' }
+  const expected = roll(2, 1, 'u6282sv', 10, { seed: 'session' })
+
+  const session = new MiningSession(params)
+  const ctrl = new AbortController()
+  let error = null
+  try {
+    await session.run({ signal: ctrl.signal, sliceMs: 1, onProgress: () => ctrl.abort() })
+  } catch (err) { error = err }
+  t.equal(error?.name, 'AbortError')
+  t.ok(session.attempts > 0 && session.attempts < expected.counter, 'interrupted midway')
+  t.equal(session.counters[0], session.attempts)
+
+  const json = JSON.stringify(session)
+  const resumed = MiningSession.fromJSON(json)
+  t.deepEqual(resumed.counters, session.counters)
+  const res = await resumed.run()
+  t.equal(res.secret, expected.secret)
+  t.equal(res.counter, expected.counter)
+  t.equal(res.attempts, expected.attempts, 'attempts accumulate')
+  t.equal(await resumed.run(), res, 'finished session returns result')
+  t.equal(MiningSession.fromJSON(JSON.parse(JSON.stringify(resumed))).result.secret, res.secret)
+  t.equal(new MiningSession({ sex: 1 }).params.seed.length, 64, 'random seed')
+})
+
+test('Incremental search produces valid keys', async t => {
+  const secret = roll(0, 1, 'u6282sv', 10)
+  t.ok(secret)
+  const { age, sex, location } = decodeASL(getPublicKey(secret), 10)
+  t.equal(age, 0)
+  t.equal(sex, 1)
+  t.equal(location, 'u6')
+  t.equal(roll(0, 1, 'u6282sv', 40, 300), undefined, 'gives up after maxTries')
+})
+
+test('Async roll', async t => {
+  const res = await rollAsync({ age: 1, sex: 2, location: 'u6282sv', geobits: 5 })
+  t.ok(res.secret)
+  t.equal(res.publicKey, Buffer.from(getPublicKey(res.secret)).hexSlice())
+  t.ok(res.attempts > 0)
+  const { age, sex, location } = decodeASL(res.publicKey, 5)
+  t.equal(age, 1)
+  t.equal(sex, 2)
+  t.equal(location, 'u')
+})
+
+test('Async roll gives up after maxTries', async t => {
+  const res = await rollAsync({ age: 1, sex: 2, location: 'u6282sv', maxTries: 10 })
+  t.equal(res.secret, null)
+  t.equal(res.attempts, 10)
+  const unset = await rollAsync({ sex: 1, geobits: 5, maxTries: undefined })
+  t.ok(unset.secret, 'undefined maxTries uses the default')
+})
+
+test('Async roll is abortable', async t => {
+  const ctrl = new AbortController()
+  let progress = null
+  const search = rollAsync({ age: 1, sex: 2, location: 'u6282sv', geobits: 40 }, {
+    signal: ctrl.signal,
+    sliceMs: 1,
+    onProgress: p => { progress = p; ctrl.abort() }
+  })
+  let error = null
+  try { await search } catch (err) { error = err }
+  t.equal(error?.name, 'AbortError')
+  t.ok(progress.attempts > 0 && progress.elapsedMs > 0 && progress.hashrate > 0, 'progress reported')
+})
+
+test('Parallel miner', async t => {
+  const miner = createMiner({ workers: 2, sliceMs: 10 })
+  try {
+    let progress = null
+    const res = await miner.roll({ age: 3, sex: 3, location: 'u6282sv', geobits: 5 }, {
+      onProgress: p => { progress = p }
+    })
+    t.ok(res.secret)
+    t.equal(res.publicKey, Buffer.from(getPublicKey(res.secret)).hexSlice())
+    const { age, sex, location } = decodeASL(res.publicKey, 5)
+    t.equal(age, 3)
+    t.equal(sex, 3)
+    t.equal(location, 'u')
+    t.ok(!progress || progress.workers === 2, 'progress includes worker count')
+
+    const ctrl = new AbortController()
+    const search = miner.roll({ age: 0, sex: 0, location: 'u6282sv', geobits: 40 }, {
+      signal: ctrl.signal,
+      onProgress: () => ctrl.abort()
+    })
+    let error = null
+    try { await search } catch (err) { error = err }
+    t.equal(error?.name, 'AbortError', 'aborted')
+
+    const session = new MiningSession({ sex: 1, location: 'u6', geobits: 10, seed: 'lanes' })
+    const found = await session.run({ miner })
+    t.equal(deriveSecret('lanes', found.counter), found.secret, 'seeded lane result')
+    t.equal(decodeASL(found.publicKey, 10).location, 'u6')
+
+    const lanes = new AbortController()
+    let counters = null
+    try {
+      await miner.roll({ sex: 1, location: 'u6282sv', geobits: 40, seed: 'lanes' }, {
+        signal: lanes.signal,
+        counters: [100],
+        onProgress: p => { counters = p.counters; lanes.abort() }
+      })
+    } catch (err) {}
+    t.ok(counters[0] >= 100 && counters[0] < LANE_SIZE, 'worker 0 resumed at counter')
+    t.ok(counters[1] >= LANE_SIZE, 'worker 1 searches second lane')
+
+    const none = await miner.roll({ age: 0, sex: 0, location: 'u6282sv', geobits: 40, maxTries: 20 })
+    t.equal(none.secret, null, 'gives up after maxTries')
+    t.equal(none.attempts, 20)
+    const odd = await miner.roll({ age: 0, sex: 0, location: 'u6282sv', geobits: 40, maxTries: 21 })
+    t.equal(odd.attempts, 21, 'uneven maxTries is not exceeded')
+  } finally {
+    await miner.terminate()
+  }
+})
+
+test('Miner validates workers and replaces crashed ones', async t => {
+  let error = null
+  try { createMiner({ workers: -1 }) } catch (err) { error = err }
+  t.ok(error instanceof InvalidFieldError, 'negative workers')
+  error = null
+  try { createMiner({ workers: 1.5 }) } catch (err) { error = err }
+  t.ok(error instanceof InvalidFieldError, 'fractional workers')
+
+  const url = join(tmpdir(), `powmem-crash-${process.pid}.mjs`)
+  writeFileSync(url, "import { parentPort } from 'node:worker_threads'\nparentPort.on('message', () => { throw new Error('boom') })\n")
+  const miner = createMiner({ workers: 1, url })
+  const timeout = () => new Promise((resolve, reject) => setTimeout(() => reject(new Error('timeout')), 5000).unref())
+  try {
+    for (const run of ['first', 'second']) {
+      error = null
+      try { await Promise.race([miner.roll({ sex: 1, maxTries: 10 }), timeout()]) } catch (err) { error = err }
+      t.equal(error?.message, 'boom', `${run} roll rejects instead of hanging`)
+    }
+  } finally {
+    await miner.terminate()
+    unlinkSync(url)
+  }
+})
+
+test('Wildcards are left out of the prefix', async t => {
+  t.equal(estimate({ geobits: 10 }).bits, 14)
+  t.equal(estimate({ age: '*', sex: 1, geobits: 10 }).bits, 12)
+  t.equal(estimate({ age: undefined, sex: '*', geobits: 10 }).bits, 10)
+  t.equal(estimate({ location: 'u*', geobits: 10 }).bits, 9)
+  t.equal(estimate({ location: '*', geobits: 10 }).bits, 4)
+  t.equal(estimate({ location: undefined, age: '*', sex: '*' }).bits, 0)
+
+  const secret = roll('*', 2, 'u*', 10)
+  t.ok(secret)
+  const { sex, location } = decodeASL(getPublicKey(secret), 10)
+  t.equal(sex, 2)
+  t.equal(location[0], 'u')
+
+  const res = await rollAsync({ sex: 3, location: '*6', geobits: 10 })
+  const asl = decodeASL(res.publicKey, 10)
+  t.equal(asl.sex, 3)
+  t.equal(asl.location[1], '6')
+})
+
+test('Roll any of multiple targets', async t => {
+  const targets = [
+    { age: 1, sex: 0, location: 'u6' },
+    { age: [2, 3], sex: '*', location: ['u2', 'u3'] }
+  ]
+  t.equal(estimate({ targets, geobits: 10 }).bits, -Math.log2(2 ** -14 + 4 * 2 ** -12))
+  const res = roll(targets, 10, { seed: 'multi' })
+  t.ok(res.secret)
+  t.deepEqual(res.match, { age: 2, sex: '*', location: 'u2' }, 'reports expanded target')
+  const asl = decodeASL(res.publicKey, 10)
+  t.equal(asl.age, 2)
+  t.equal(asl.location, 'u2')
+  const again = await rollAsync({ targets, geobits: 10, seed: 'multi' })
+  t.deepEqual(again.match, res.match, 'rollAsync accepts targets')
+  t.equal(typeof roll(targets, 10), 'string', 'legacy form returns secret')
+  const single = roll([{ age: 1, sex: 0, location: 'u6' }], 10, { seed: 'single' })
+  t.deepEqual(single.match, { age: 1, sex: 0, location: 'u6' }, 'one-element list reports match')
+  t.equal((await rollAsync({ targets: [{ sex: 1 }], geobits: 5, seed: 'single' })).match.sex, 1)
+  t.equal(roll(1, 0, 'u6', 10, { seed: 'single' }).match, undefined, 'positional form has no match')
+})
+
+test('Extra proof of work', async t => {
+  // ASL occupies the low nibble + geobits, work follows.
+  const key = hex => hex.padEnd(64, 'f')
+  t.equal(workOf(key('0f0f00ff'), 12), 8)
+  t.equal(workOf(key('0f0f01ff'), 12), 0)
+  t.equal(workOf(key('0f0f10ff'), 12), 4)
+  t.equal(workOf(new Uint8Array(32), 12), 240, 'capped by key length')
+  t.equal(estimate({ geobits: 10, extraWork: 6 }).bits, 20)
+
+  const res = roll(2, 1, 'u6282sv', 5, { extraWork: 6, seed: 'work' })
+  t.ok(workOf(res.publicKey, 5) >= 6)
+  const asl = decodeASL(res.publicKey, 5)
+  t.equal(asl.age, 2)
+  t.equal(asl.sex, 1)
+  t.equal(asl.location, 'u')
+  const res2 = await rollAsync({ sex: 0, location: '*', geobits: 5, extraWork: 9 })
+  t.ok(workOf(res2.publicKey, 5) >= 9, 'rollAsync accepts extraWork')
+})
+
+test('Vanity pattern after ASL', async t => {
+  const hex = roll('*', '*', '*', 5, { vanity: { hex: 'c0f' } })
+  t.ok(hex.publicKey.endsWith('c0f'), 'hex suffix')
+  const npub = await rollAsync({ sex: 1, geobits: 5, vanity: { npub: 'p0w' } })
+  t.ok(nip19.npubEncode(npub.publicKey).slice(5).includes('p0w'), 'npub contains')
+  t.equal(decodeASL(npub.publicKey, 5).sex, 1)
+  t.equal(estimate({ geobits: 10, vanity: { hex: 'c0f' } }).bits, 26)
+  t.equal(estimate({ geobits: 10, vanity: { npub: 'p0w' } }).bits, 14 + 15 - Math.log2(56))
+  let error = null
+  try { roll(0, 0, 'u', 5, { vanity: { npub: 'b1o' } }) } catch (err) { error = err }
+  t.ok(error instanceof InvalidFieldError, 'rejects non-bech32 characters')
+})
+
+test('Roll many identities at once', async t => {
+  const targets = [
+    { sex: 3, location: 'u6', age: [0, 1] },
+    { age: 2, sex: 3 },
+    { age: 3, sex: 3, location: 'u6' }
+  ]
+  const keys = rollMany(targets, { count: 3, geobits: 10, seed: 'bots' })
+  t.deepEqual(keys.map(k => k.length), [3, 3, 3])
+  const secrets = new Set()
+  keys.forEach((list, i) => {
+    for (const { secret, publicKey, counter } of list) {
+      secrets.add(secret)
+      t.equal(Buffer.from(getPublicKey(secret)).hexSlice(), publicKey)
+      t.equal(deriveSecret('bots', counter), secret)
+      const asl = decodeASL(publicKey, 10)
+      t.equal(asl.sex, 3)
+      if (i === 0) t.ok(asl.location === 'u6' && asl.age < 2, 'matches target 0')
+      if (i === 1) t.equal(asl.age, 2, 'matches target 1')
+      if (i === 2) t.ok(asl.location === 'u6' && asl.age === 3, 'matches target 2')
+    }
+  })
+  t.equal(secrets.size, 9, 'keys are not shared between targets')
+  const partial = rollMany([{ age: 3, sex: 3, location: 'u6282sv' }], { count: 2, maxTries: 300 })
+  t.deepEqual(partial, [[]], 'gives up after maxTries')
+
+  const unseeded = rollMany([{ sex: 3 }], { count: 4, geobits: 5 })[0]
+  t.equal(unseeded.length, 4)
+  t.ok(unseeded.every(({ publicKey }) => decodeASL(publicKey, 5).sex === 3))
+  const scalars = unseeded.map(({ secret }) => BigInt('0x' + secret))
+  let closest = null
+  for (const a of scalars) {
+    for (const b of scalars) {
+      const d = a > b ? a - b : b - a
+      if (a !== b && (closest === null || d < closest)) closest = d
+    }
+  }
+  t.ok(closest > 2n ** 64n, 'unseeded secrets are unrelated')
+})
+
+test('Estimate difficulty', async t => {
+  const e = estimate({ geobits: 15 }, 1000)
+  t.equal(e.bits, 19)
+  t.equal(e.probability, 1 / 524288)
+  t.equal(e.expected.attempts, 524288)
+  t.equal(e.expected.seconds, 524.288)
+  t.equal(e.median.attempts, 363409, 'median is ln(2) of mean')
+  t.ok(e.median.attempts < e.p90.attempts && e.p90.attempts < e.p99.attempts)
+  t.equal(e.p99.attempts, 2414434)
+  t.equal(estimate({ geobits: 15, extraBits: 2 }).expected.attempts, 2 ** 21)
+  t.equal(estimate({ geobits: 15, extraWork: 2 }).expected.attempts, 2 ** 21)
+  t.equal(estimate({ geobits: 15, extraBits: 4, vanity: { hex: 'ff' } }).bits, 31, 'extraBits add to vanity')
+  t.equal(estimate().p90.seconds, undefined, 'seconds requires hashrate')
+  const certain = estimate({ age: '*', sex: '*', location: '*' })
+  t.deepEqual([certain.median.attempts, certain.p90.attempts, certain.p99.attempts], [1, 1, 1], 'at least one attempt')
+  const rate = calibrate(20)
+  t.ok(rate > 0, 'calibrated hashrate')
+})
+
+test('Distributed mining over stdio and TCP', async t => {
+  const exited = child => new Promise(resolve => child.on('exit', resolve))
+  let nodes = 0
+  const coordinator = createCoordinator(
+    { age: 1, sex: 1, location: 'u6282sv', geobits: 10, seed: 'cluster' },
+    { rangeSize: 2048, onProgress: p => { nodes = Math.max(nodes, p.nodes) } }
+  )
+  const server = await coordinator.listen(0, '127.0.0.1')
+  const { port } = server.address()
+  const children = [spawn(process.execPath, ['cluster.js', '--connect', `127.0.0.1:${port}`])]
+  await new Promise(resolve => server.once('connection', resolve))
+  for (let i = 0; i < 2; i++) {
+    const child = spawn(process.execPath, ['cluster.js'])
+    coordinator.attach(child.stdout, child.stdin)
+    children.push(child)
+  }
+
+  const res = await coordinator.result
+  t.equal(deriveSecret('cluster', res.counter), res.secret, 'result re-derivable from seed')
+  const asl = decodeASL(res.publicKey, 10)
+  t.equal(asl.age, 1)
+  t.equal(asl.sex, 1)
+  t.equal(asl.location, 'u6')
+  t.ok(res.attempts > 0)
+  t.equal(nodes, 3, 'progress counts nodes')
+  const codes = await Promise.all(children.map(exited))
+  t.deepEqual(codes, [0, 0, 0], 'all nodes stopped')
+})
+
+test('Coordinator survives failing nodes', async t => {
+  const params = { age: 1, sex: 1, location: 'u6282sv', geobits: 10, seed: 'cluster' }
+  // Fake nodes speaking the protocol by hand
+  const fakeNode = coordinator => {
+    const input = new PassThrough()
+    const output = new PassThrough()
+    const lines = []
+    output.on('data', chunk => lines.push(...chunk.toString().trim().split('\n').map(l => JSON.parse(l))))
+    coordinator.attach(input, output)
+    return { input, lines, send: msg => input.write(typeof msg === 'string' ? msg : JSON.stringify(msg) + '\n') }
+  }
+  const tick = () => new Promise(resolve => setTimeout(resolve, 10))
+  let reported = 0
+  const coordinator = createCoordinator(params, { rangeSize: 1000, onProgress: p => { reported = p.attempts } })
+  const a = fakeNode(coordinator)
+  const b = fakeNode(coordinator)
+  await tick()
+  t.deepEqual([a.lines[0].start, a.lines[0].end, b.lines[0].start], [0, 1000, 1000])
+  a.send('garbage\n')
+  a.send({ type: 'progress', attempts: 300 })
+  await tick()
+  t.equal(reported, 300, 'garbage line ignored')
+  a.input.destroy(new Error('ECONNRESET')) // Dies mid-search
+  await tick()
+  b.send({ type: 'done', start: 1000, end: 2000 })
+  await tick()
+  t.deepEqual([b.lines[1].start, b.lines[1].end], [300, 1000], 'unfinished range handed to next node')
+  const c = fakeNode(coordinator)
+  await tick()
+  t.equal(c.lines[0].start, 2000, 'new node continues after last range')
+  const good = roll(1, 1, 'u6282sv', 10, { seed: 'cluster' })
+  c.send({ type: 'found', result: { ...good, secret: 'ab'.repeat(32) } })
+  await new Promise(resolve => setTimeout(resolve, 100))
+  t.equal(c.lines.at(-1).type, 'stop', 'node reporting a bogus key is stopped')
+  b.send({ type: 'done', start: 300, end: 1000 })
+  await tick()
+  t.deepEqual([b.lines.at(-1).start, b.lines.at(-1).end], [2000, 3000], 'its range is searched again')
+  b.send({ type: 'found', result: good })
+  t.equal((await coordinator.result).secret, good.secret, 'verified key resolves')
+
+  // Real node given invalid params reports back instead of crashing
+  const failing = createCoordinator({ ...params, location: 'u6a' })
+  const toNode = new PassThrough()
+  const fromNode = new PassThrough()
+  const served = serveNode(toNode, fromNode)
+  failing.attach(fromNode, toNode)
+  let error = null
+  try { await failing.result } catch (err) { error = err }
+  t.equal(error?.name, 'InvalidGeohashError', 'result rejects with node error')
+  await served
+})
+
+test('Rejects invalid input', async t => {
+  const throws = (fn, ErrorClass, msg) => {
+    let error = null
+    try { fn() } catch (err) { error = err }
+    t.ok(error instanceof ErrorClass, `${msg} throws ${ErrorClass.name}`)
+    return error
+  }
+  const pk = getPublicKey('9ec11fa81c53e7115b014a373a4b66172e4f476091a57b20be1103e935738f9c')
+  const err = throws(() => roll(7, 9, 'AIL'), InvalidFieldError, 'roll() age')
+  t.equal(err.field, 'age')
+  t.equal(err.value, 7)
+  t.equal(throws(() => roll(1, 9, 'u6'), InvalidFieldError, 'roll() sex').field, 'sex')
+  t.equal(throws(() => roll(1, 1, 'AIL'), InvalidGeohashError, 'roll() location').geohash, 'AIL')
+  throws(() => roll(1, 1, 'u6', 3), InvalidFieldError, 'roll() geobits')
+  throws(() => roll(1, 1, 'u6', 15, { maxTries: 'lots' }), InvalidFieldError, 'roll() maxTries')
+  throws(() => roll(1, 1, 'u6', 15, { seed: 42 }), InvalidFieldError, 'roll() seed')
+  throws(() => roll(1, 1, 'u6', 15, { extraWork: -1 }), InvalidFieldError, 'roll() extraWork')
+  throws(() => roll(1, 1, 'u6', 15, { vanity: { hex: 'XYZ' } }), InvalidFieldError, 'roll() vanity.hex')
+  throws(() => roll(1, 1, 'u6', 15, { extraWork: 200, vanity: { hex: 'c0ffee0000000000' } }), InvalidFieldError, 'roll() vanity.hex overlaps extraWork')
+  throws(() => roll(1, 1, 'u6', 15, { vanity: { hex: '0'.repeat(63) } }), InvalidFieldError, 'roll() vanity.hex overlaps ASL')
+  throws(() => estimate({ geobits: 15, extraWork: 200, vanity: { hex: '0'.repeat(16) } }), InvalidFieldError, 'estimate() vanity.hex overlaps')
+  throws(() => estimate({ geobits: 15, extraBits: -1 }), InvalidFieldError, 'estimate() extraBits')
+  throws(() => roll([{ age: [1, 4] }]), InvalidFieldError, 'roll() multiple targets')
+  throws(() => roll([]), InvalidFieldError, 'roll() without targets')
+  throws(() => rollMany([{ sex: 1 }], { count: 0 }), InvalidFieldError, 'rollMany() count')
+  throws(() => rollMany({ sex: 1 }), InvalidFieldError, 'rollMany() targets')
+  throws(() => new MiningSession({ location: 'u6a' }), InvalidGeohashError, 'MiningSession')
+  throws(() => createMiningJob('beef', { age: 1, sex: 1, location: 'u6' }), KeyLengthError, 'createMiningJob() secret')
+  throws(() => createMiningJob(pk, { age: 1, sex: 5, location: 'u6' }), InvalidFieldError, 'createMiningJob() sex')
+  throws(() => combineTweak('zz'.repeat(32), '00'.repeat(32)), InvalidFieldError, 'combineTweak() secret')
+  throws(() => combineTweak(pk, '00'), KeyLengthError, 'combineTweak() tweak')
+  throws(() => deriveSecret('seed', -1), InvalidFieldError, 'deriveSecret() counter')
+  throws(() => estimate({ age: 'old' }), InvalidFieldError, 'estimate() age')
+  throws(() => estimate({}, -5), InvalidFieldError, 'estimate() hashrate')
+  throws(() => calibrate(0), InvalidFieldError, 'calibrate() ms')
+  const short = throws(() => decodeASL(pk.subarray(0, 2)), KeyLengthError, 'decodeASL() short key')
+  t.equal(short.length, 2)
+  t.equal(short.expected, 32)
+  throws(() => decodeASL('b618af'), KeyLengthError, 'decodeASL() short hex')
+  throws(() => decodeASL('npub1'), InvalidFieldError, 'decodeASL() not hex')
+  throws(() => decodeASL(pk, 1000), InvalidFieldError, 'decodeASL() geobits')
+  throws(() => workOf(pk.subarray(0, 3)), KeyLengthError, 'workOf() short key')
+  throws(() => packGeo('u6a'), InvalidGeohashError, 'packGeo() invalid character')
+  throws(() => packGeo(''), InvalidGeohashError, 'packGeo() empty')
+  throws(() => packGeo('u6', 2), InvalidFieldError, 'packGeo() nBits')
+  throws(() => packGeo('u6282sv', 30, new Uint8Array(2)), KeyLengthError, 'packGeo() destination')
+  throws(() => unpackGeo(new Uint8Array(1), 15), KeyLengthError, 'unpackGeo() short buffer')
+  throws(() => unpackGeo(new Uint8Array(4), 1.5), InvalidFieldError, 'unpackGeo() nBits')
+  throws(() => flagOf('LOL'), InvalidGeohashError, 'flagOf()')
+  throws(() => xorDistance(null, pk), InvalidFieldError, 'xorDistance()')
+  throws(() => roundByte(NaN), InvalidFieldError, 'roundByte() NaN')
+  throws(() => roundByte(-8), InvalidFieldError, 'roundByte() negative')
+  throws(() => roundByte(1.5), InvalidFieldError, 'roundByte() fraction')
+  throws(() => shift(null), InvalidFieldError, 'shift() buffer')
+  throws(() => shift(new Uint8Array(1), 2), InvalidFieldError, 'shift() bit')
+  throws(() => unshift(2), InvalidFieldError, 'unshift() buffer')
+  throws(() => unshift(new Uint8Array(1), -1), InvalidFieldError, 'unshift() bit')
+  throws(() => binstr(NaN), InvalidFieldError, 'binstr() NaN')
+  throws(() => binstr(256), InvalidFieldError, 'binstr() byte')
+  throws(() => binstr([1], 1.5), InvalidFieldError, 'binstr() cap')
+  throws(() => binstr([1], 8, 0), InvalidFieldError, 'binstr() block size')
+  throws(() => roll(0, 0, 'zzzz', 20, 1.5), InvalidFieldError, 'roll() fractional maxTries')
+  throws(() => rollMany([{ sex: 1 }], { maxTries: 0.5 }), InvalidFieldError, 'rollMany() fractional maxTries')
+  let error = null
+  try { await rollAsync({ sex: 'x' }) } catch (err) { error = err }
+  t.ok(error instanceof InvalidFieldError, 'rollAsync() rejects')
+  error = null
+  try { await rollAsync({ sex: 1, maxTries: 2.5 }) } catch (err) { error = err }
+  t.ok(error instanceof InvalidFieldError, 'rollAsync() rejects fractional maxTries')
+  error = null
+  try { await mineTweak({ point: 'ab', age: 1, sex: 1, location: 'u6' }) } catch (err) { error = err }
+  t.ok(error instanceof KeyLengthError, 'mineTweak() rejects short point')
+})
+
 test('Geohash bitpacking', async t => {
   const geohash = 'u120fw'
   const n = packGeo(geohash, 14)
   t.ok(n instanceof Uint8Array)
   const o = unpackGeo(n, 14)
-  t.equal(o, 'u14')
+  t.equal(o, 'u12', 'partial quintet keeps top bits') // Was 'u14' before the format change
   t.equal(unpackGeo(packGeo('u6282sv', 30), 20), 'u628')
 })
 
+test('Cell bounds at odd bit precision', async t => {
+  const center = Geohash.decode('u6282sv')
+  const buf = packGeo('u6282sv', 17)
+  t.deepEqual(buf, packLatLon(center.lat, center.lon, 17), 'same cell as coordinates')
+  const bbox = cellBounds(buf, 17)
+  t.equal(bbox.maxLon - bbox.minLon, 360 / 2 ** 9)
+  t.equal(bbox.maxLat - bbox.minLat, 180 / 2 ** 8)
+  const { sw, ne } = Geohash.bounds('u6282sv')
+  t.ok(bbox.minLat <= sw.lat && ne.lat <= bbox.maxLat, 'contains the full geohash (lat)')
+  t.ok(bbox.minLon <= sw.lon && ne.lon <= bbox.maxLon, 'contains the full geohash (lon)')
+  const outer = Geohash.bounds('u62')
+  t.ok(bbox.minLat >= outer.sw.lat && bbox.maxLat <= outer.ne.lat, 'within 15-bit parent (lat)')
+  t.ok(bbox.minLon >= outer.sw.lon && bbox.maxLon <= outer.ne.lon, 'within 15-bit parent (lon)')
+  const inside = (p, c) => c.minLat <= p.lat && p.lat <= c.maxLat && c.minLon <= p.lon && p.lon <= c.maxLon
+  for (let bits = 5; bits <= 40; bits++) {
+    const cell = cellBounds(packGeo('u6282sv', bits), bits)
+    t.equal((cell.maxLon - cell.minLon) * (cell.maxLat - cell.minLat), 360 * 180 / 2 ** bits, `area at ${bits} bits`)
+    const outside = ['u6282sv', 'gcnenk00', '9q8yyk8y', 'zzzzzzzz', 'pbpbpbpb'].filter(hash => {
+      if (bits > hash.length * 5) return false
+      const c = Geohash.decode(hash)
+      const buf = packGeo(hash, bits)
+      return !inside(c, cellBounds(buf, bits)) ||
+        !inside(c, unpackLatLon(buf, bits).bbox) ||
+        !inside(c, cellBounds(expand(buf, 0, bits)[0], bits))
+    })
+    t.deepEqual(outside, [], `geohash centers inside their ${bits}-bit cells`)
+  }
+  const { secret } = roll('*', '*', 'u6282sv', 17, { seed: 'cells', maxTries: Infinity })
+  t.deepEqual(describeASL(getPublicKey(secret), { geobits: 17 }).bbox, bbox, 'describeASL() uses exact bounds')
+})
+
+test('Neighbouring cells', async t => {
+  for (const hash of ['u6282sv', 'u628', 'gcn', 'kpbp', '9']) {
+    const { n, ne, e, se, s, sw, w, nw } = Geohash.neighbours(hash)
+    t.deepEqual(neighboursOf(hash), [n, ne, e, se, s, sw, w, nw], `neighboursOf('${hash}')`)
+  }
+  // Binary cells at odd precision
+  const buf = packLatLon(51.177, -1.829, 17)
+  const cell = cellBounds(buf, 17)
+  const [north, , east] = neighbours(buf, 17).map(b => cellBounds(b, 17))
+  t.equal(north.minLat, cell.maxLat, 'north shares an edge')
+  t.equal(north.minLon, cell.minLon)
+  t.equal(east.minLon, cell.maxLon, 'east shares an edge')
+  // Antimeridian
+  const edge = neighbours(packLatLon(0.1, 179.9, 15), 15).map(b => cellBounds(b, 15))
+  t.equal(edge[2].minLon, -180, 'east of 180° wraps to -180°')
+  t.equal(neighboursOf('xbp')[2], '800', 'xbp -> 800')
+  // Poles
+  t.deepEqual(neighboursOf('zzz'), [null, null, 'bpb', 'bp8', 'zzx', 'zzw', 'zzy', null], 'nothing north of the north pole')
+  t.deepEqual(neighboursOf('b'), [null, null, 'c', '9', '8', 'x', 'z', null])
+  const south = neighbours(packLatLon(-89.9, 0, 20), 20)
+  t.equal(south.length, 8, 'positions follow directions')
+  t.deepEqual(south.map(b => b === null), [false, false, false, true, true, true, false, false], 'nothing south of the south pole')
+
+  t.equal(expand('u62').length, 9)
+  t.equal(expand('u62', 2).length, 25)
+  t.equal(expand('u62', 0)[0], 'u62', 'center first')
+  t.deepEqual(expand('u62').slice(1).sort(), neighboursOf('u62').sort())
+  t.equal(expand('0', 1).length, 6, 'clipped at the pole')
+  t.equal(expand(packGeo('u6282sv', 17), 3, 17).length, 49, 'binary cells')
+  t.ok(expand(packGeo('u6282sv', 17), 3, 17)[0] instanceof Uint8Array)
+  let error = null
+  try { neighboursOf('AIL') } catch (err) { error = err }
+  t.ok(error instanceof InvalidGeohashError, 'rejects invalid geohash')
+})
+
+test('Distance between cells', async t => {
+  const rad = d => d * Math.PI / 180
+  const center = hash => { const { sw, ne } = Geohash.bounds(hash); return [(sw.lat + ne.lat) / 2, (sw.lon + ne.lon) / 2] }
+  const [[lat1, lon1], [lat2, lon2]] = [center('gcpvj'), center('u09tv')] // London, Paris
+  const expected = 2 * 6371.0088 * Math.asin(Math.sqrt(
+    Math.sin(rad(lat2 - lat1) / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2
+  ))
+  t.equal(Math.round(distanceKm('gcpvj', 'u09tv')), Math.round(expected))
+  t.ok(Math.abs(distanceKm('gcpvj', 'u09tv') - 344) < 5, 'about 344km')
+  t.equal(distanceKm('u6282sv', 'u6282sv'), 0)
+
+  // Keys and binary geohashes
+  const pkHex = 'b618af96fde8ba61d43dde06583e7a897256c10c1d11c4b32dc15b76726593e6' // cdw
+  t.equal(distanceKm(pkHex, 'cdw'), 0, 'key and geohash')
+  t.equal(distanceKm(toNpub(pkHex), packGeo('cdw', 15)), 0, 'npub and binary')
+  t.equal(distanceKm(pkHex, packGeo('u62', 15)), distanceKm('cdw', 'u62'), 'key and binary')
+  t.equal(distanceKm(pkHex, 'cd', { geobits: 10 }), 0, 'keys decoded at geobits')
+  t.notEqual(distanceKm(pkHex, 'cd'), 0)
+
+  const range = distanceRange('gcpvj', 'u09tv')
+  const d = distanceKm('gcpvj', 'u09tv')
+  t.ok(range.min < d && d < range.max, 'center distance within range')
+  t.ok(range.max - range.min < 20, 'cells are ~5km wide')
+  t.equal(distanceRange('u628', 'u629').min, 0, 'neighbours touch')
+  t.equal(distanceRange('u628', 'u628').min, 0)
+  const across = distanceRange('xbp', '800')
+  t.equal(across.min, 0, 'touch across the antimeridian')
+  t.ok(across.max < 400, 'short way around')
+  const poles = distanceRange('zzz', 'bpb')
+  t.equal(poles.min, 0, 'meet at the north pole')
+  const antipodes = distanceRange('0', 'z')
+  t.ok(antipodes.max > 20000, 'up to half the circumference')
+})
+
+test('Geohashes ending in 0 survive unpacking', async t => {
+  const bases = ['00000000', 'u6282sv0', 'b0000000', 'zzzzzzzz', 'gcnenk00']
+  for (let bits = 5; bits <= 40; bits++) {
+    const n = Math.ceil(bits / 5)
+    for (const base of bases) {
+      const hash = base.slice(0, n - 1) + '0'
+      t.equal(unpackGeo(packGeo(hash, bits), bits), hash, `${hash} at ${bits} bits`)
+    }
+  }
+  // Partial quintets name the first cell within the packed area
+  t.equal(unpackGeo(packGeo('u6z', 12), 12), 'u6s', '2 of 5 bits')
+  t.equal(unpackGeo(packGeo('u6z', 14), 14), 'u6y', '4 of 5 bits')
+  t.equal(unpackGeo(packLatLon(-90, -180, 17), 17), '0000', 'south-west corner')
+  t.deepEqual(decodeASL(new Uint8Array(32)), { age: 0, sex: 0, location: '000' }, 'pure 0 cell')
+  t.equal(decodeASL(new Uint8Array(32), 22).location, '00000')
+})
+
+test('Pack coordinates without geohash strings', async t => {
+  const [lat, lon] = [51.17706299, -1.82922363]
+  for (let bits = 5; bits <= 40; bits++) {
+    const hash = Geohash.encode(lat, lon, Math.ceil(bits / 5))
+    t.deepEqual(packLatLon(lat, lon, bits), packGeo(hash, bits), `same layout as packGeo() at ${bits} bits`)
+  }
+  const { lat: cLat, lon: cLon, bbox } = unpackLatLon(packLatLon(lat, lon, 17), 17)
+  t.ok(bbox.minLat <= lat && lat < bbox.maxLat && bbox.minLon <= lon && lon < bbox.maxLon, 'cell contains point')
+  t.equal(bbox.maxLon - bbox.minLon, 360 / 2 ** 9, '9 longitude bits')
+  t.equal(bbox.maxLat - bbox.minLat, 180 / 2 ** 8, '8 latitude bits')
+  t.equal(cLat, (bbox.minLat + bbox.maxLat) / 2)
+  t.equal(cLon, (bbox.minLon + bbox.maxLon) / 2)
+  const { sw, ne } = Geohash.bounds('gcnenk')
+  t.deepEqual(unpackLatLon(packGeo('gcnenk', 30), 30).bbox, { minLat: sw.lat, minLon: sw.lon, maxLat: ne.lat, maxLon: ne.lon })
+
+  const { secret } = roll(1, 0, { lat, lon }, 13, { seed: 'latlon' })
+  const key = getPublicKey(secret)
+  t.equal(decodeASL(key, 13).sex, 0)
+  const geo = key.slice(0, 3)
+  for (let i = 0; i < 4; i++) unshift(geo) // Drop age and sex
+  const cell = unpackLatLon(geo, 13)
+  t.deepEqual(cell.bbox, unpackLatLon(packLatLon(lat, lon, 13), 13).bbox, 'roll() accepts lat/lon')
+  const byHash = roll(1, 0, 'u6282sv', 13, { seed: 'same cell' })
+  const byCoords = roll(1, 0, Geohash.decode('u6282sv'), 13, { seed: 'same cell' })
+  t.equal(byHash.secret, byCoords.secret, 'geohash and coordinates target the same cell at odd bits')
+  let error = null
+  try { roll(1, 0, { lat: 91, lon: 0 }) } catch (err) { error = err }
+  t.ok(error instanceof InvalidFieldError, 'rejects latitude out of range')
+})
+
+test('Decode many keys into columns', async t => {
+  const n = 500
+  const keys = new Uint8Array(n * 32)
+  globalThis.crypto.getRandomValues(keys)
+  for (const bits of [5, 12, 15, 17, 32, 33, 64]) {
+    const { age, sex, cell, location } = decodeMany(keys, bits, { geohash: true })
+    let ok = 0
+    for (let i = 0; i < n; i++) {
+      const asl = decodeASL(keys.subarray(i * 32, i * 32 + 32), bits)
+      let expected = 0n
+      for (let q = 0; q < bits; q += 5) {
+        const x = Math.min(5, bits - q)
+        expected = expected << BigInt(x) | BigInt('0123456789bcdefghjkmnpqrstuvwxyz'.indexOf(asl.location[q / 5]) >> (5 - x))
+      }
+      if (age[i] === asl.age && sex[i] === asl.sex && location[i] === asl.location && BigInt(cell[i]) === expected) ok++
+    }
+    t.equal(ok, n, `matches decodeASL() at ${bits} bits`)
+    t.ok(cell instanceof (bits > 32 ? BigUint64Array : Uint32Array), 'cell column type')
+  }
+  const columns = decodeMany(keys.subarray(0, 64))
+  t.equal(columns.age.length, 2)
+  t.equal(columns.location, undefined, 'geohash strings are optional')
+  t.equal(decodeMany(new Uint8Array(0)).cell.length, 0, 'empty')
+  let error = null
+  try { decodeMany(new Uint8Array(33)) } catch (err) { error = err }
+  t.ok(error instanceof KeyLengthError, 'partial key')
+  error = null
+  try { decodeMany(new Uint8Array(32), 65) } catch (err) { error = err }
+  t.ok(error instanceof InvalidFieldError, 'geobits')
+})
+
+test('BitReader and BitWriter match shift-register layout', async t => {
+  const widths = [2, 2, 5, 5, 3, 1, 8, 13, 32, 7, 17]
+  const values = widths.map((n, i) => Math.floor(((i * 2654435761) % 4294967296) / 2 ** (32 - n)))
+  const expected = new Uint8Array(16)
+  for (let i = widths.length - 1; i >= 0; i--) { // shift() pushes bits towards high
+    for (let k = widths[i] - 1; k >= 0; k--) shift(expected, Math.floor(values[i] / 2 ** k) % 2)
+  }
+  const writer = new BitWriter(new Uint8Array(16))
+  widths.forEach((n, i) => writer.writeBits(values[i], n))
+  t.equal(writer.offset, 95)
+  t.deepEqual(writer.buffer, expected, 'same bytes as shift()')
+  const reader = new BitReader(expected)
+  t.deepEqual(widths.map(n => reader.readBits(n)), values, 'reads back')
+  const cpy = [...expected]
+  t.equal(new BitReader(expected).readBits(1), unshift(cpy), 'first bit is unshifted first')
+
+  const overwrite = new BitWriter(new Uint8Array(2).fill(0xff), 3).writeBits(0, 6)
+  t.deepEqual([...overwrite.buffer], [0b00000111, 0b11111110], 'overwrites without touching neighbours')
+  let error = null
+  try { new BitReader(new Uint8Array(1)).readBits(9) } catch (err) { error = err }
+  t.ok(error instanceof KeyLengthError, 'reading past end')
+  error = null
+  try { new BitWriter(new Uint8Array(1)).writeBits(4, 2) } catch (err) { error = err }
+  t.ok(error instanceof InvalidFieldError, 'value wider than n')
+})
+
 test('Regression coord<->hash', async t => {
   const ghash = 'gcnenk' // taken from geohash.co
   const coord = [51.17706299, -1.82922363] // taken from OSM
@@ -59,7 +861,7 @@ test('Regression coord<->hash', async t => {
 
   const n2 = packGeo(h, 6 * 3)
   const d2 = unpackGeo(n2, 6 * 3)
-  t.equal(d2, 'gcnn', 'unpackGeo(h, 18)')
+  t.equal(d2, 'gcnd', 'unpackGeo(h, 18)') // 'gcnd' contains 'gcne', was 'gcnn' before the format change
 })
 
 // Ignore this test. One-shot csv->json cleanup thing.
@@ -76,6 +878,43 @@ test.skip('ChatGPT provided flag->location LUT', async t => {
   writeFileSync('flags.db', table) // 4KB Addressbook
 })
 
+test('XOR distance regression', async t => {
+  // Same values as the original 32-bit implementation
+  t.equal(xorDistance([0, 0, 0, 1], [0, 0, 0, 0]), 128)
+  t.equal(xorDistance([0xff, 0, 0x0f, 0xa5], [0x0f, 0xf0, 0x0f, 0x5a]), 252641535)
+  t.equal(xorDistance([1, 0, 0, 0], [0, 0, 0, 0]), 2 ** 31, 'bit 0 is the most significant')
+  // Used to be truncated to 4 bytes
+  t.equal(xorDistance([1, 2, 3, 4, 5], [1, 2, 3, 4, 6]), 0xc0, 'differences after 32 bits')
+  t.equal(xorDistanceBig(new Uint8Array(32), Uint8Array.from({ length: 32 }, (_, i) => i === 31 ? 0x80 : 0)), 1n, 'last bit of a key')
+  t.equal(xorDistanceBig([0xff], []), 0xffn, 'shorter buffer padded with zeros')
+  t.equal(xorDistance([7, 7], [7, 7]), 0, 'identical')
+  const a = getPublicKey(deriveSecret('xor', 1))
+  const b = getPublicKey(deriveSecret('xor', 2))
+  t.equal(xorDistanceBig(a, b), xorDistanceBig(b, a), 'symmetric')
+  t.equal(xorDistanceBig(a, Array.from(b)), xorDistanceBig(a, b), 'arrays and buffers')
+
+  t.equal(commonPrefixBits([0b0110], [0b0010]), 2)
+  t.equal(commonPrefixBits([0xff, 0x01], [0xff, 0x03]), 9)
+  t.equal(commonPrefixBits(a, a), 256)
+  t.equal(commonPrefixBits([1, 2, 3], [1, 2]), 16, 'limited by shorter buffer')
+  t.equal(commonPrefixBits(a, b), 256 - xorDistanceBig(a, b).toString(2).length, 'leading zeros of distance')
+  // Cells sharing a geohash prefix share packed bits
+  t.ok(commonPrefixBits(packGeo('u6282sv', 35), packGeo('u6282sw', 35)) >= 30)
+
+  t.equal(compareDistance([0], [1], [2]), 1, 'bit 0 weighs more than bit 1')
+  t.equal(compareDistance([0], [2], [1]), -1)
+  t.equal(compareDistance(a, b, Array.from(b)), 0)
+  const far = [1, 0, 0, 0, 0, 0, 0, 0x01]
+  const near = [1, 0, 0, 0, 0, 0, 0, 0x02]
+  t.equal(xorDistance([0], far), xorDistance([0], near), 'numbers lose precision')
+  t.equal(compareDistance([0], near, far), -1, 'exact beyond 53 bits')
+  const keys = Array.from({ length: 20 }, (_, i) => getPublicKey(deriveSecret('xor', i + 3)))
+  const sorted = [...keys].sort((x, y) => compareDistance(a, x, y))
+  for (let i = 1; i < sorted.length; i++) {
+    t.ok(xorDistanceBig(a, sorted[i - 1]) <= xorDistanceBig(a, sorted[i]), `sorted ${i}`)
+  }
+})
+
 test('Picks closest flag using XOR distance', async t => {
   const flag = flagOf('u6282sv')
   t.equal(flag, '🇸🇪')
@@ -0,0 +1,28 @@
+/*! powmem - MIT License (c) 2023 Tony Ivanov */
+// Worker entrypoint used by createMiner(), runs rollAsync() on behalf
+// of the main thread. Works in both worker_threads and Web Workers.
+import { rollAsync } from './index.js'
+
+const port = typeof globalThis.WorkerGlobalScope !== 'undefined'
+  ? globalThis
+  : (await import('node:worker_threads')).parentPort
+
+let ctrl = null
+
+port.addEventListener('message', async ({ data }) => {
+  if (data.type === 'stop') return ctrl?.abort()
+  if (data.type !== 'roll') return
+  const { id } = data
+  ctrl = new AbortController()
+  try {
+    const result = await rollAsync(data.params, {
+      signal: ctrl.signal,
+      sliceMs: data.sliceMs,
+      onProgress: progress => port.postMessage({ type: 'progress', id, ...progress })
+    })
+    port.postMessage({ type: 'result', id, ...result })
+  } catch (err) {
+    if (err.name === 'AbortError') port.postMessage({ type: 'stopped', id })
+    else port.postMessage({ type: 'error', id, name: err.name, message: err.message })
+  }
+})